@@ -0,0 +1,76 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const BigNumber = require('bignumber.js')
+const config = require('../helpers/network').config
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const validator = require('../models/blockchain/validatorRpc')
+const ValidatorRules = require('../helpers/validatorRules')
+const { check, validationResult } = require('express-validator/check')
+
+const toWei = (amount) => new BigNumber(amount || 0).times(10 ** 18)
+
+// Check an action against the rules of the validator contract before it is signed
+router.post('/', [
+    check('action').isIn(ValidatorRules.actions)
+        .withMessage(`action should be in ${ValidatorRules.actions.join(', ')}`),
+    check('address').isLength({ min: 1 }).exists().withMessage('address is required'),
+    check('candidate').custom((value, { req }) => req.body.action === 'withdraw' || !!value)
+        .withMessage('candidate is required'),
+    check('amount').custom((value, { req }) => ['resign', 'withdraw'].indexOf(req.body.action) >= 0 || !!value)
+        .withMessage('amount is required'),
+    check('amount').optional().isFloat({ min: 0 }).withMessage('amount should be a positive number'),
+    check('blockNumber').custom((value, { req }) => req.body.action !== 'withdraw' || !!value)
+        .withMessage('blockNumber is required'),
+    check('index').custom((value, { req }) => req.body.action !== 'withdraw' || value !== undefined)
+        .withMessage('index is required')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const action = req.body.action
+        const address = req.body.address.toLowerCase()
+        const amount = toWei(req.body.amount)
+        // only propose and vote send TOMO
+        const value = (action === 'propose' || action === 'vote') ? amount : new BigNumber(0)
+
+        const [ blockNumber, balance, gasPrice ] = await Promise.all([
+            web3.eth.getBlockNumber(),
+            web3.eth.getBalance(address),
+            web3.eth.getGasPrice()
+        ])
+        const reasons = await ValidatorRules.check(action, address, {
+            candidate: (req.body.candidate || '').toLowerCase(),
+            value: value.toString(10),
+            cap: amount.toString(10),
+            blockNumber: req.body.blockNumber,
+            index: req.body.index
+        }, blockNumber + 1, validator)
+
+        const gas = parseInt(config.get('blockchain.gas'))
+        const fee = new BigNumber(gasPrice).times(gas)
+        const required = value.plus(fee)
+        if (required.isGreaterThan(balance)) {
+            reasons.push({
+                rule: 'balance',
+                message: `Not enough TOMO, ${required.div(10 ** 18).toString(10)} TOMO is needed ` +
+                    `including the gas fee, the balance is ${new BigNumber(balance).div(10 ** 18).toString(10)} TOMO`
+            })
+        }
+
+        return res.json({
+            valid: reasons.length === 0,
+            reasons,
+            balance: new BigNumber(balance).div(10 ** 18).toString(10),
+            gas,
+            gasPrice: String(gasPrice),
+            fee: fee.div(10 ** 18).toString(10)
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
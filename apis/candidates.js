@@ -1,20 +1,17 @@
 'use strict'
 const express = require('express')
-const axios = require('axios')
 const router = express.Router()
 const db = require('../models/mongodb')
 const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
 const validator = require('../models/blockchain/validatorRpc')
-const HDWalletProvider = require('truffle-hdwallet-provider')
-const PrivateKeyProvider = require('truffle-privatekey-provider')
-const config = require('config')
+const config = require('../helpers/network').config
 const _ = require('lodash')
 const logger = require('../helpers/logger')
+const { getSigningStats, signEpoch, rankEpoch, rankStatusEpoch } = require('../helpers/signing')
+const ClaimHelper = require('../helpers/claim')
+const { verifySigner } = require('../helpers/signature')
+const SigningSession = require('../helpers/signingSession')
 const { check, validationResult, query } = require('express-validator/check')
-const uuidv4 = require('uuid/v4')
-const urljoin = require('url-join')
-
-const gas = config.get('blockchain.gas')
 
 router.get('/', [
     query('limit')
@@ -297,32 +294,6 @@ router.post('/listByHash', [
     }
 })
 
-router.get('/crawlStatus', async function (req, res, next) {
-    const limit = 200
-    const skip = 0
-    try {
-        let candidates = await db.Candidate.find({
-            smartContractAddress: config.get('blockchain.validatorAddress')
-        }).sort({ capacityNumber: 'desc' }).limit(limit).skip(skip).lean().exec()
-
-        let latestSignedBlock = 0
-
-        for (let c of candidates) {
-            latestSignedBlock = (parseInt(c.latestSignedBlock || 0) > latestSignedBlock)
-                ? parseInt(c.latestSignedBlock || 0)
-                : latestSignedBlock
-        }
-
-        let blockNumber = await web3.eth.getBlockNumber()
-
-        return res.json(
-            (parseInt(latestSignedBlock) > parseInt(blockNumber) - 100)
-        )
-    } catch (e) {
-        return next(e)
-    }
-})
-
 router.get('/search', [
     query('query').isAscii().withMessage('query must be ascii symbols'),
     query('limit').isInt({ min: 0, max: 50 }).withMessage('limit must be number and less than 200 items per page'),
@@ -412,7 +383,8 @@ router.get('/:candidate/voters', [
     query('limit')
         .isInt({ min: 0, max: 200 }).optional().withMessage('limit should greater than 0 and less than 200'),
     query('page').isNumeric({ no_symbols: true })
-        .optional().isInt({ min: 0, max: 500 }).withMessage('page should greater than 0 and less than 500')
+        .optional().isInt({ min: 0, max: 500 }).withMessage('page should greater than 0 and less than 500'),
+    query('epoch').optional().isInt({ min: 1 }).withMessage('epoch should be a positive number')
 ], async function (req, res, next) {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -424,11 +396,19 @@ router.get('/:candidate/voters', [
 
     skip = (req.query.page) ? limit * (req.query.page - 1) : 0
 
-    let total = db.Voter.countDocuments({
-        smartContractAddress: config.get('blockchain.validatorAddress'),
+    // voters at the checkpoint of the given epoch
+    const Voter = req.query.epoch ? db.VoterSnapshot : db.Voter
+    const filter = {
         candidate: (req.params.candidate || '').toLowerCase(),
         capacityNumber: { $ne: 0 }
-    })
+    }
+    if (req.query.epoch) {
+        filter.epoch = parseInt(req.query.epoch)
+    } else {
+        filter.smartContractAddress = config.get('blockchain.validatorAddress')
+    }
+
+    let total = Voter.countDocuments(filter)
 
     const sort = {}
     if (req.query.sortBy) {
@@ -437,205 +417,236 @@ router.get('/:candidate/voters', [
         sort.capacityNumber = -1
     }
 
-    let voters = await db.Voter.find({
-        smartContractAddress: config.get('blockchain.validatorAddress'),
-        candidate: (req.params.candidate || '').toLowerCase(),
-        capacityNumber: { $ne: 0 }
-    }).sort(sort).limit(limit).skip(skip)
+    let voters = await Voter.find(filter).sort(sort).limit(limit).skip(skip)
     return res.json({
         items: await voters,
         total: await total
     })
 })
-// deprecated
-router.get('/:candidate/rewards', async function (req, res, next) {
-    let limit = (req.query.limit) ? parseInt(req.query.limit) : 200
-    let skip
-    if (limit > 200) {
-        limit = 200
-    }
-    skip = (req.query.page) ? limit * (req.query.page - 1) : 0
-    let rewards = await db.MnReward.find({
-        address: (req.params.candidate || '').toLowerCase()
-    }).sort({ _id: -1 }).limit(limit).skip(skip)
-    return res.json(rewards)
-})
+// a week of epochs, returned when the range is open
+const defaultRankEpochs = 336
+const maxRankEpochs = 1000
 
-// for automation test only
-router.post('/apply', async function (req, res, next) {
-    let key = req.query.key
-    let network = config.get('blockchain.internalRpc')
-    const gasPrice = await web3.eth.getGasPrice()
+router.get('/:candidate/ranks', [
+    query('fromEpoch').optional().isInt({ min: 1 }).withMessage('fromEpoch should be a positive number'),
+    query('toEpoch').optional().isInt({ min: 1 }).withMessage('toEpoch should be a positive number')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
     try {
-        let walletProvider =
-            (key.indexOf(' ') >= 0)
-                ? new HDWalletProvider(key, network)
-                : new PrivateKeyProvider(key, network)
-
-        web3.setProvider(walletProvider)
-        let candidate = req.query.coinbase.toLowerCase()
-        let isCandidate = await validator.methods.isCandidate(candidate).call()
-        if (isCandidate) {
-            await db.Candidate.updateOne({
-                smartContractAddress: config.get('blockchain.validatorAddress'),
-                candidate: candidate,
-                owner: walletProvider.address
-            }, {
-                $set: {
-                    name: req.query.name
-                }
-            }, { upsert: false })
-            return res.json({ status: 'OK' })
+        const candidate = (req.params.candidate || '').toLowerCase()
+        const fromEpoch = parseInt(req.query.fromEpoch)
+        const toEpoch = parseInt(req.query.toEpoch)
+        if (fromEpoch && toEpoch && (fromEpoch > toEpoch || toEpoch - fromEpoch >= maxRankEpochs)) {
+            return next(new Error(`epoch range should be less than ${maxRankEpochs} epochs`))
         }
-        await validator.methods.propose(candidate).send({
-            from : walletProvider.address,
-            value: '50000000000000000000000',
-            gas,
-            gasPrice
-        })
-        if (req.query.name) {
-            await db.Candidate.updateOne({
-                smartContractAddress: config.get('blockchain.validatorAddress'),
-                candidate: candidate,
-                owner: walletProvider.address
-            }, {
-                $set: {
-                    smartContractAddress: config.get('blockchain.validatorAddress'),
-                    candidate: candidate,
-                    nodeId: (candidate || '').replace('0x', ''),
-                    capacity: '50000000000000000000000',
-                    status: 'PROPOSED',
-                    owner: walletProvider.address,
-                    name: req.query.name
-                }
-            }, { upsert: true })
+        // the epochs are numbered as the status ones
+        const epoch = {}
+        if (fromEpoch) {
+            epoch.$gte = rankEpoch(fromEpoch)
+        }
+        if (toEpoch) {
+            epoch.$lte = rankEpoch(toEpoch)
+        }
+        const condition = { candidate: candidate }
+        if (!_.isEmpty(epoch)) {
+            condition.epoch = epoch
         }
-        return res.json({ status: 'OK' })
+
+        // from fromEpoch, else up to toEpoch or the latest epoch
+        const limit = (fromEpoch && toEpoch) ? toEpoch - fromEpoch + 1 : defaultRankEpochs
+        const ranks = await db.Rank.find(condition)
+            .sort({ epoch: fromEpoch && !toEpoch ? 1 : -1 }).limit(limit).lean().exec()
+        if (!fromEpoch || toEpoch) {
+            ranks.reverse()
+        }
+
+        return res.json({
+            items: ranks.map(r => Object.assign(_.pick(r, [
+                'rank', 'capacity', 'capacityNumber', 'epochCreatedAt'
+            ]), { epoch: rankStatusEpoch(r.epoch) }))
+        })
     } catch (e) {
         return next(e)
     }
 })
 
-// for automation test only
-router.post('/applyBulk', async function (req, res, next) {
-    let key = req.query.key
-    let network = config.get('blockchain.internalRpc')
-    const gasPrice = await web3.eth.getGasPrice()
+router.get('/:candidate/signing', [
+    query('fromEpoch').optional().isInt({ min: 1 }).withMessage('fromEpoch should be a positive number'),
+    query('toEpoch').optional().isInt({ min: 1 }).withMessage('toEpoch should be a positive number')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
     try {
-        let walletProvider =
-            (key.indexOf(' ') >= 0)
-                ? new HDWalletProvider(key, network)
-                : new PrivateKeyProvider(key, network)
-
-        web3.setProvider(walletProvider)
-        let candidates = (req.query.candidates || '').split(',')
-
-        for (let candidate of candidates) {
-            candidate = (candidate || '').trim().toLowerCase()
-            try {
-                let isCandidate = await validator.methods.isCandidate(candidate).call()
-                if (isCandidate) continue
-
-                await validator.methods.propose(candidate).send({
-                    from : walletProvider.address,
-                    value: '50000000000000000000000',
-                    gas,
-                    gasPrice
-                })
-                if (req.query.name) {
-                    await db.Candidate.updateOne({
-                        smartContractAddress: config.get('blockchain.validatorAddress'),
-                        candidate: candidate
-                    }, {
-                        $set: {
-                            smartContractAddress: config.get('blockchain.validatorAddress'),
-                            candidate: candidate,
-                            capacity: '50000000000000000000000',
-                            status: 'PROPOSED',
-                            owner: walletProvider.address
-                        }
-                    }, { upsert: true })
-                }
-            } catch (e) {
-                logger.error(e)
-            }
+        const latestBlock = await web3.eth.getBlockNumber()
+        const toEpoch = parseInt(req.query.toEpoch) ||
+            signEpoch(latestBlock, parseInt(config.get('blockchain.epoch')))
+        // latest 48 epochs (a day) by default
+        const fromEpoch = parseInt(req.query.fromEpoch) || Math.max(toEpoch - 47, 1)
+        if (fromEpoch > toEpoch || toEpoch - fromEpoch >= 336) {
+            return next(new Error('epoch range should be less than 336 epochs'))
         }
-        return res.json({ status: 'OK' })
+        return res.json(await getSigningStats(req.params.candidate || '', fromEpoch, toEpoch, latestBlock))
     } catch (e) {
         return next(e)
     }
 })
 
-// for automation test only
-router.post('/resign', async function (req, res, next) {
-    let key = req.query.key
-    let network = config.get('blockchain.internalRpc')
-    const gasPrice = await web3.eth.getGasPrice()
+// Profile fields kept in the History collection
+const profileFields = [
+    'name', 'hardware', 'dataCenter.name', 'dataCenter.location',
+    'socials.github', 'socials.linkedin', 'socials.email', 'socials.website', 'socials.telegram'
+]
+
+router.get('/:candidate/history', [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit should be in 1 - 200'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page should be a positive number')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
     try {
-        let walletProvider =
-            (key.indexOf(' ') >= 0)
-                ? new HDWalletProvider(key, network)
-                : new PrivateKeyProvider(key, network)
-
-        web3.setProvider(walletProvider)
-
-        let candidate = req.query.coinbase.toLowerCase()
-        await validator.methods.resign(candidate).send({
-            from : walletProvider.address,
-            gas,
-            gasPrice
+        const candidate = (req.params.candidate || '').toLowerCase()
+        const limit = parseInt(req.query.limit) || 20
+        const page = parseInt(req.query.page) || 1
+        const histories = await db.History.find({ candidate: candidate })
+            .sort({ blockNumber: 1, createdAt: 1 }).lean().exec()
+
+        // a revision only stores the fields which were submitted, others keep the previous value
+        let profile = {}
+        const revisions = histories.map(h => {
+            const previous = profile
+            profile = _.cloneDeep(previous)
+            profileFields.forEach(f => {
+                if (_.has(h, f)) {
+                    _.set(profile, f, _.get(h, f))
+                }
+            })
+            return {
+                blockNumber: h.blockNumber,
+                signer: h.signer || null,
+                createdAt: h.createdAt,
+                profile,
+                changes: profileFields.filter(f => (_.get(previous, f) || '') !== (_.get(profile, f) || ''))
+                    .map(f => ({
+                        field: f,
+                        from: _.get(previous, f) || '',
+                        to: _.get(profile, f) || ''
+                    }))
+            }
+        }).reverse()
+
+        return res.json({
+            total: revisions.length,
+            items: revisions.slice((page - 1) * limit, page * limit)
         })
-        return res.json({ status: 'OK' })
     } catch (e) {
-        return res.json({ status: 'NOK' })
+        return next(e)
     }
 })
 
-// for automation test only
-router.post('/vote', async function (req, res, next) {
-    let key = req.query.key
-    let network = config.get('blockchain.internalRpc')
-    const gasPrice = await web3.eth.getGasPrice()
+// Message the owner signs to claim the current website or GitHub account of the candidate
+router.get('/:candidate/claims/message', [
+    query('type').isIn(ClaimHelper.types).withMessage(`type should be in ${ClaimHelper.types.join(', ')}`)
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
     try {
-        let walletProvider =
-            (key.indexOf(' ') >= 0)
-                ? new HDWalletProvider(key, network)
-                : new PrivateKeyProvider(key, network)
-        let candidate = req.query.coinbase.toLowerCase()
-        web3.setProvider(walletProvider)
-        let ret = await validator.methods.vote(candidate).send({
-            from : walletProvider.address,
-            value: '500000000000000000000',
-            gas,
-            gasPrice
+        const candidate = (req.params.candidate || '').toLowerCase()
+        const c = await db.Candidate.findOne({
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            candidate: candidate
+        }).lean().exec()
+        if (!c) {
+            return next(new Error('Not found'))
+        }
+        const value = ClaimHelper.claimValue(req.query.type, (c.socials || {})[req.query.type])
+        if (!value) {
+            return next(new Error(`The candidate has no ${req.query.type}`))
+        }
+        return res.json({
+            type: req.query.type,
+            value,
+            message: ClaimHelper.claimMessage(candidate, req.query.type, value)
         })
-        return res.json({ status: 'OK', tx: ret.transactionHash })
     } catch (e) {
         return next(e)
     }
 })
 
-// for automation test only
-router.post('/unvote', async function (req, res, next) {
-    let key = req.query.key
-    let network = config.get('blockchain.internalRpc')
-    const gasPrice = await web3.eth.getGasPrice()
+// Submit a claim signed by the owner or the candidate, the signature should be published
+// in https://<website>/.well-known/tomomaster.txt or in a public gist of the GitHub user
+router.post('/:candidate/claims', [
+    check('type').isIn(ClaimHelper.types).withMessage(`type should be in ${ClaimHelper.types.join(', ')}`),
+    check('signature').isLength({ min: 1 }).exists().withMessage('signature is required'),
+    check('proofUrl').custom((value, { req }) => req.body.type !== 'github' ||
+        /^https:\/\/gist\.github\.com\/.+/.test(value || ''))
+        .withMessage('proofUrl should be the url of a gist')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
     try {
-        let walletProvider =
-            (key.indexOf(' ') >= 0)
-                ? new HDWalletProvider(key, network)
-                : new PrivateKeyProvider(key, network)
-        let candidate = req.query.coinbase.toLowerCase()
-        web3.setProvider(walletProvider)
-        await validator.methods.unvote(candidate, '200000000000000000000').send({
-            from : walletProvider.address,
-            gas,
-            gasPrice
-        })
-        return res.json({ status: 'OK' })
+        const type = req.body.type
+        const candidate = (req.params.candidate || '').toLowerCase()
+        const c = await db.Candidate.findOne({
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            candidate: candidate
+        }).lean().exec()
+        if (!c) {
+            return next(new Error('Not found'))
+        }
+        const value = ClaimHelper.claimValue(type, (c.socials || {})[type])
+        if (!value) {
+            return next(new Error(`The candidate has no ${type}`))
+        }
+        const message = ClaimHelper.claimMessage(candidate, type, value)
+        try {
+            verifySigner(c.owner, message, req.body.signature)
+        } catch (e) {
+            verifySigner(c.candidate, message, req.body.signature)
+        }
+
+        const claim = {
+            value,
+            proofUrl: type === 'github' ? req.body.proofUrl : `https://${value}/.well-known/tomomaster.txt`,
+            signature: req.body.signature,
+            status: 'PENDING',
+            error: '',
+            failures: 0,
+            submittedAt: new Date()
+        }
+        await db.Candidate.updateOne({ _id: c._id }, { $set: { [`claims.${type}`]: claim } })
+        // check right away, the job keeps checking a pending claim for a day
+        c.claims = Object.assign({}, c.claims, { [type]: claim })
+        await ClaimHelper.checkClaim(c, type)
+        const updated = await db.Candidate.findOne({ _id: c._id }).lean().exec()
+        return res.json(updated.claims[type])
     } catch (e) {
-        return res.json({ status: 'NOK' })
+        return next(e)
+    }
+})
+
+// deprecated
+router.get('/:candidate/rewards', async function (req, res, next) {
+    let limit = (req.query.limit) ? parseInt(req.query.limit) : 200
+    let skip
+    if (limit > 200) {
+        limit = 200
     }
+    skip = (req.query.page) ? limit * (req.query.page - 1) : 0
+    let rewards = await db.MnReward.find({
+        address: (req.params.candidate || '').toLowerCase()
+    }).sort({ _id: -1 }).limit(limit).skip(skip)
+    return res.json(rewards)
 })
 
 router.get('/:candidate/isMasternode', async function (req, res, next) {
@@ -689,7 +700,7 @@ router.get('/:candidate/:owner/getRewards', [
         skip = (page) ? limit * (page - 1) : 0
         let masternodesRW = []
 
-        const total = db.Status.estimatedDocumentCount({
+        const total = db.Status.countDocuments({
             candidate: candidate,
             epoch: {
                 $lte: currentEpoch - 2
@@ -711,31 +722,28 @@ router.get('/:candidate/:owner/getRewards', [
         })
 
         let masternodes = epochData.filter(e => e.status === 'MASTERNODE')
-        const rewards = await axios.post(
-            urljoin(config.get('tomoscanUrl'), 'api/expose/MNRewardsByEpochs'),
-            {
-                address: candidate,
-                owner: owner,
-                reason: 'Voter',
-                epoch: masternodesEpochs
+        const rewards = await db.Reward.find({
+            validator: candidate.toLowerCase(),
+            address: owner.toLowerCase(),
+            reason: 'MasterNode',
+            epoch: { $in: masternodesEpochs }
+        }).lean().exec()
+
+        masternodesRW = masternodes.map((mn) => {
+            const r = rewards.find(r => r.epoch === mn.epoch) || {}
+            const rw = {
+                epoch: mn.epoch,
+                status: 'MASTERNODE',
+                masternodeReward: r.reward,
+                signNumber: r.signNumber,
+                rewardTime: r.rewardTime || mn.epochCreatedAt || ''
             }
-        )
-
-        if (rewards.data && rewards.data.length > 0) {
-            const rwData = rewards.data
-            masternodesRW = rwData.map((r) => {
-                const mn = masternodes.find(m => m.epoch === r.epoch) || {}
-                r.status = 'MASTERNODE'
-                if (!r.reward) {
-                    r.rewardTime = mn.epochCreatedAt || ''
-                }
-                if (currentEpoch - r.epoch < 2) {
-                    r.masternodeReward = '-'
-                    r.signNumber = '-'
-                }
-                return r
-            })
-        }
+            if (currentEpoch - mn.epoch < 2) {
+                rw.masternodeReward = '-'
+                rw.signNumber = '-'
+            }
+            return rw
+        })
 
         let noRewardEpochs = epochData.filter(e => e.status !== 'MASTERNODE')
 
@@ -762,14 +770,17 @@ router.put('/update', [
     check('name').isLength({ min: 3, max: 30 }).optional().withMessage('Name must be 3 - 30 chars long'),
     check('hardware').isLength({ min: 3, max: 30 }).optional().withMessage('Hardware must be 3 - 30 chars long'),
     check('dcName').isLength({ min: 2, max: 30 }).optional().withMessage('dcName must be 2 - 30 chars long'),
-    check('dcLocation').isLength({ min: 2, max: 30 }).optional().withMessage('dcLocation must be 2 - 30 chars long')
+    check('dcLocation').isLength({ min: 2, max: 30 }).optional().withMessage('dcLocation must be 2 - 30 chars long'),
+    check('github').isLength({ max: 100 }).optional().withMessage('github must be at most 100 chars long'),
+    check('sessionId').isLength({ min: 1 }).exists().withMessage('sessionId is required'),
+    check('signedMessage').isLength({ min: 1 }).exists().withMessage('signedMessage is required')
 ], async function (req, res, next) {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
         return next(errors.array())
     }
     try {
-        const { signedMessage, message } = req.body
+        const { signedMessage, sessionId } = req.body
         const candidate = (req.body.candidate || '').toLowerCase()
         const c = await db.Candidate.findOne({
             smartContractAddress: config.get('blockchain.validatorAddress'),
@@ -791,37 +802,33 @@ router.put('/update', [
 
         set['socials.website'] = body.website || ''
         set['socials.telegram'] = body.telegram || ''
+        if (body.github !== undefined) {
+            set['socials.github'] = body.github || ''
+        }
 
-        const address = await web3.eth.accounts.recover(message, signedMessage)
-
-        if (
-            address.toLowerCase() === c.candidate.toLowerCase() ||
-            address.toLowerCase() === c.owner.toLowerCase()
-        ) {
-            if (c.name) {
-                const currentBlockNumber = await web3.eth.getBlockNumber()
-                const data = set
-                data.candidate = candidate.toLowerCase()
-                data.blockNumber = currentBlockNumber
-
-                await db.History.updateOne({
-                    candidate: candidate.toLowerCase(), blockNumber: currentBlockNumber
-                }, {
-                    $set: data
-                }, { upsert: true })
-            }
+        // the session message names the candidate, the signature is used once
+        const session = await SigningSession.consume(sessionId, 'update', signedMessage)
+        const address = session.signer
+
+        if (session.payload.candidate === candidate && (
+            address === c.candidate.toLowerCase() ||
+            address === c.owner.toLowerCase()
+        )) {
+            const currentBlockNumber = await web3.eth.getBlockNumber()
+            await db.History.updateOne({
+                candidate: candidate.toLowerCase(), blockNumber: currentBlockNumber
+            }, {
+                $set: Object.assign({}, set, {
+                    candidate: candidate.toLowerCase(),
+                    blockNumber: currentBlockNumber,
+                    signer: address
+                })
+            }, { upsert: true })
             await db.Candidate.updateOne({
                 smartContractAddress: config.get('blockchain.validatorAddress'),
                 candidate: candidate.toLowerCase()
             }, {
-                $set: set
-            })
-            await db.Signature.updateOne({
-                signedAddress: address.toLowerCase()
-            }, {
-                $set: {
-                    signature: ''
-                }
+                $set: Object.assign({}, set, ClaimHelper.invalidate(c, set))
             })
             return res.json({ status: 'OK' })
         } else {
@@ -836,126 +843,6 @@ router.put('/update', [
     }
 })
 
-router.post('/:candidate/generateMessage', [
-    check('candidate').isLength({ min: 1 }).exists().withMessage('candidate is required'),
-    check('account').isLength({ min: 1 }).exists().withMessage('account is required')
-], async function (req, res, next) {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-        return next(errors.array())
-    }
-    try {
-        const candidate = req.params.candidate
-        const account = (req.body.account || '').toLowerCase()
-
-        const c = await db.Candidate.findOne({
-            smartContractAddress: config.get('blockchain.validatorAddress'),
-            candidate: candidate
-        })
-        if (!c) {
-            return res.status(406).send('This address is not a candidate')
-        }
-
-        const message = '[Tomomaster ' + (new Date().toLocaleString().replace(/['"]+/g, '')) + ']' +
-            ' I am the owner of candidate ' + '[' + candidate + ']'
-        const id = uuidv4()
-
-        // update id, status
-        const data = {
-            signedId: id,
-            status: true
-        }
-        await db.Signature.findOneAndUpdate({ signedAddress: account }, data, { upsert: true, new: true })
-
-        return res.json({
-            message,
-            url: urljoin(config.get('baseUrl'), `api/candidates/verifyScannedQR?id=${id}`),
-            id
-        })
-    } catch (error) {
-        next(error)
-    }
-})
-
-router.post('/verifyScannedQR', [
-    query('id').isLength({ min: 1 }).exists().withMessage('id is required')
-        .contains('-').withMessage('wrong id format'),
-    check('message').isLength({ min: 1 }).exists().withMessage('message is required'),
-    check('signature').isLength({ min: 1 }).exists().withMessage('signature is required'),
-    check('signer').isLength({ min: 1 }).exists().withMessage('signer is required'),
-    check('message').isLength({ min: 1 }).exists().withMessage('message is required')
-], async (req, res, next) => {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-        return next(errors.array())
-    }
-    try {
-        const message = req.body.message
-        const signature = req.body.signature
-        const id = escape(req.query.id)
-        let signer = req.body.signer.toLowerCase()
-
-        const checkId = await db.Signature.findOne({ signedId: id })
-        if (!checkId) {
-            throw Error('id is not match')
-        }
-        if (!checkId.status) {
-            throw Error('Cannot use a QR code twice')
-        }
-
-        const signedAddress = (await web3.eth.accounts.recover(message, signature) || '').toLowerCase()
-
-        if (signer !== signedAddress || checkId.signedAddress !== signedAddress ||
-            id !== checkId.signedId) {
-            throw Error('The Signature Message Verification Failed')
-        }
-
-        // Store id, address, msg, signature
-        const data = {}
-        data.signedId = id
-        data.message = message
-        data.signature = signature
-        data.status = false
-
-        await db.Signature.findOneAndUpdate({ signedAddress: signedAddress }, data, { upsert: true, new: true })
-
-        return res.send('Done')
-    } catch (e) {
-        console.trace(e)
-        console.log(e)
-        return next(e)
-    }
-})
-
-router.get('/:candidate/getSignature', [
-    query('id').isLength({ min: 1 }).exists().withMessage('id is required')
-        .contains('-').withMessage('wrong id format')
-], async (req, res, next) => {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-        return next(errors.array())
-    }
-    try {
-        const messId = escape(req.query.id)
-
-        const signature = await db.Signature.findOne({ signedId: messId })
-
-        if (signature && !signature.status) {
-            return res.json({
-                signature: signature.signature
-            })
-        } else {
-            return res.send({
-                error: {
-                    message: 'No data'
-                }
-            })
-        }
-    } catch (e) {
-        next(e)
-    }
-})
-
 router.get('/:candidate/:owner/isOwner', async (req, res, next) => {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
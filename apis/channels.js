@@ -0,0 +1,124 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+const _ = require('lodash')
+const db = require('../models/mongodb')
+const SigningSession = require('../helpers/signingSession')
+const Notifier = require('../helpers/notifier')
+const { check, validationResult, query } = require('express-validator/check')
+
+const events = Object.keys(Notifier.templates)
+const hidden = { signature: 0, confirmToken: 0 }
+
+const signed = (location) => [
+    location('sessionId').isLength({ min: 1 }).exists().withMessage('sessionId is required'),
+    location('signature').isLength({ min: 1 }).exists().withMessage('signature is required')
+]
+
+// The owner signs a notifications session to read its channels
+router.get('/', signed(query), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const session = await SigningSession.verify(req.query.sessionId, 'notifications', req.query.signature)
+        const channels = await db.NotificationChannel.find({
+            address: session.address,
+            active: true
+        }).select(hidden).lean().exec()
+        return res.json(channels)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// Opt in, the channel and the target are signed in a channel session which is used once.
+// An email address receives the notifications once the link sent to it is opened
+router.post('/', signed(check).concat([
+    check('events').optional().custom(value => _.difference([].concat(value), events).length === 0)
+        .withMessage(`events should be in ${events.join(', ')}`)
+]), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const session = await SigningSession.consume(req.body.sessionId, 'channel', req.body.signature)
+        const selector = {
+            address: session.address,
+            channel: session.payload.channel,
+            target: session.payload.target
+        }
+        const existing = await db.NotificationChannel.findOne(selector).lean().exec() || {}
+        const set = {
+            events: req.body.events ? _.uniq([].concat(req.body.events)) : events,
+            signature: req.body.signature,
+            active: true
+        }
+        if (selector.channel !== 'email') {
+            set.confirmedAt = existing.confirmedAt || new Date()
+        } else if (!existing.confirmedAt) {
+            set.confirmToken = crypto.randomBytes(32).toString('hex')
+            await Notifier.confirm(selector.address, selector.target, set.confirmToken)
+        }
+
+        const channel = await db.NotificationChannel.findOneAndUpdate(selector, {
+            $set: set
+        }, { upsert: true, new: true }).select(hidden).lean().exec()
+        return res.json(channel)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// Link of the confirmation email
+router.get('/confirm', [
+    query('token').isLength({ min: 1 }).exists().withMessage('token is required')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const channel = await db.NotificationChannel.findOneAndUpdate({
+            confirmToken: req.query.token
+        }, {
+            $set: { confirmedAt: new Date() },
+            $unset: { confirmToken: 1 }
+        }).lean().exec()
+        if (!channel) {
+            return next(new Error('The link is invalid or already used'))
+        }
+        return res.send('Your email address is confirmed')
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// Opt out, the owner signs a notifications session which is used once
+router.delete('/:id', signed(check), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const channel = await db.NotificationChannel.findOne({ _id: req.params.id, active: true })
+        if (!channel) {
+            return next(new Error('Channel not found'))
+        }
+        const session = await SigningSession.consume(req.body.sessionId, 'notifications', req.body.signature)
+        if (session.address !== channel.address) {
+            throw Error('The Signature Message Verification Failed')
+        }
+
+        channel.active = false
+        await channel.save()
+        return res.send('Done')
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
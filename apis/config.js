@@ -1,6 +1,7 @@
 'use strict'
 const express = require('express')
-const config = require('config')
+const Network = require('../helpers/network')
+const config = Network.config
 const router = express.Router()
 const web3 = require('../models/blockchain/web3rpc').Web3Rpc()
 
@@ -14,6 +15,11 @@ router.get('/', async function (req, res, next) {
     }
     appConfig.explorerUrl = config.get('explorerUrl')
     appConfig.GA = config.get('GA')
+    appConfig.network = Network.current().name
+    appConfig.networks = Network.list().map(n => ({
+        name: n.name,
+        networkId: n.networkId
+    }))
     return res.json(appConfig)
 })
 
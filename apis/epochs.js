@@ -0,0 +1,159 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const _ = require('lodash')
+const BigNumber = require('bignumber.js')
+const db = require('../models/mongodb')
+const config = require('../helpers/network').config
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const { check, validationResult, query } = require('express-validator/check')
+
+// Epochs are numbered like Status and the snapshots: epoch E starts at the checkpoint
+// block (E-1)*epoch and covers the blocks up to E*epoch, its rewards are paid at (E+1)*epoch
+async function getEpochs (fromEpoch, toEpoch) {
+    const epochBlocks = parseInt(config.get('blockchain.epoch'))
+    const [ statuses, penalties, txs, snapshots ] = await Promise.all([
+        // the previous epoch gives who entered and left the masternode set
+        db.Status.find({
+            epoch: { $gte: fromEpoch - 1, $lte: toEpoch },
+            status: { $in: ['MASTERNODE', 'SLASHED'] }
+        }).lean().exec(),
+        db.Penalty.find({ epoch: { $gte: fromEpoch, $lte: toEpoch } }).lean().exec(),
+        db.Transaction.find({
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            event: { $in: ['Propose', 'Resign'] },
+            blockNumber: { $gt: (fromEpoch - 1) * epochBlocks, $lte: toEpoch * epochBlocks }
+        }).sort({ blockNumber: 1 }).lean().exec(),
+        db.CandidateSnapshot.aggregate([
+            { $match: { epoch: { $gte: fromEpoch, $lte: toEpoch } } },
+            { $group: { _id: '$epoch', capacity: { $sum: '$capacityNumber' } } }
+        ])
+    ])
+
+    const masternodesOf = (epoch) => statuses
+        .filter(s => s.epoch === epoch && s.status === 'MASTERNODE')
+        .map(s => s.candidate.toLowerCase())
+
+    const epochs = []
+    for (let epoch = toEpoch; epoch >= fromEpoch; epoch--) {
+        const masternodes = masternodesOf(epoch)
+        const previous = masternodesOf(epoch - 1)
+        const penalty = penalties.find(p => p.epoch === epoch)
+        const slashed = (penalty && penalty.penalties.length > 0)
+            ? penalty.penalties.map(c => c.toLowerCase())
+            : statuses.filter(s => s.epoch === epoch && s.status === 'SLASHED').map(s => s.candidate.toLowerCase())
+        const epochTxs = txs.filter(t => t.blockNumber > (epoch - 1) * epochBlocks &&
+            t.blockNumber <= epoch * epochBlocks)
+        const toChange = (t) => ({
+            candidate: t.candidate,
+            owner: t.owner,
+            blockNumber: t.blockNumber,
+            tx: t.tx
+        })
+        const status = statuses.find(s => s.epoch === epoch)
+
+        epochs.push({
+            epoch,
+            checkpoint: (epoch - 1) * epochBlocks,
+            endBlock: epoch * epochBlocks,
+            checkpointTime: (status || {}).epochCreatedAt || null,
+            masternodes,
+            slashed,
+            proposed: epochTxs.filter(t => t.event === 'Propose').map(toChange),
+            resigned: epochTxs.filter(t => t.event === 'Resign').map(toChange),
+            // total capacity of the candidates at the checkpoint, in TOMO
+            capacity: (snapshots.find(s => s._id === epoch) || {}).capacity || null,
+            // previous epoch is unknown for the first crawled one
+            entered: previous.length > 0 ? _.difference(masternodes, previous) : [],
+            left: previous.length > 0 ? _.difference(previous, masternodes) : [],
+            reward: {
+                pool: parseFloat(config.get('blockchain.reward')),
+                paidAt: (epoch + 1) * epochBlocks
+            }
+        })
+    }
+    return epochs
+}
+
+async function getCurrentEpoch () {
+    const latestBlock = await web3.eth.getBlockNumber()
+    return parseInt(latestBlock / parseInt(config.get('blockchain.epoch'))) + 1
+}
+
+router.get('/', [
+    query('limit')
+        .isInt({ min: 0, max: 100 }).optional().withMessage('limit should greater than 0 and less than 100'),
+    query('page').isNumeric({ no_symbols: true })
+        .optional().isInt({ min: 0, max: 5000 }).withMessage('page should greater than 0 and less than 5000')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const limit = (req.query.limit) ? parseInt(req.query.limit) : 20
+        const skip = (req.query.page) ? limit * (req.query.page - 1) : 0
+        const currentEpoch = await getCurrentEpoch()
+        const toEpoch = currentEpoch - skip
+        const fromEpoch = Math.max(toEpoch - limit + 1, 1)
+        const epochs = toEpoch >= 1 ? await getEpochs(fromEpoch, toEpoch) : []
+
+        return res.json({
+            total: currentEpoch,
+            currentEpoch,
+            // the sets are summarized by their size
+            items: epochs.map(e => Object.assign({}, e, {
+                masternodes: e.masternodes.length,
+                slashed: e.slashed.length,
+                proposed: e.proposed.length,
+                resigned: e.resigned.length,
+                entered: e.entered.length,
+                left: e.left.length
+            }))
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
+router.get('/:epoch', [
+    check('epoch').isInt({ min: 1 }).withMessage('epoch should be a positive number')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const epoch = parseInt(req.params.epoch)
+        const currentEpoch = await getCurrentEpoch()
+        if (epoch > currentEpoch) {
+            return next(new Error(`epoch ${epoch} is not reached, the current epoch is ${currentEpoch}`))
+        }
+        const [ result ] = await getEpochs(epoch, epoch)
+
+        const [ block, rewards, candidates ] = await Promise.all([
+            result.checkpointTime ? null : web3.eth.getBlock(result.checkpoint),
+            db.Reward.find({ epoch }).select({ reason: 1, reward: 1 }).lean().exec(),
+            db.Candidate.find({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                candidate: { $in: _.uniq([].concat(result.masternodes, result.slashed, result.left,
+                    result.proposed.map(p => p.candidate), result.resigned.map(p => p.candidate))) }
+            }).select({ candidate: 1, name: 1 }).lean().exec()
+        ])
+        if (block) {
+            result.checkpointTime = new Date(block.timestamp * 1000)
+        }
+        // rewards of the epoch which are distributed, in TOMO
+        result.reward.distributed = _.mapValues(_.groupBy(rewards, 'reason'), items => {
+            return items.reduce((sum, r) => sum.plus(r.reward || 0), new BigNumber(0)).toNumber()
+        })
+        result.names = _.fromPairs(candidates.map(c => [c.candidate, c.name || 'Anonymous']))
+        result.currentEpoch = currentEpoch
+
+        return res.json(result)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
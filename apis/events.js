@@ -0,0 +1,44 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const PubSub = require('../helpers/pubsub')
+const Network = require('../helpers/network')
+
+const clients = new Set()
+
+PubSub.subscribe((e) => {
+    const message = `id: ${e._id}\nevent: ${e.type}\ndata: ${JSON.stringify(e.data)}\n\n`
+    clients.forEach(c => {
+        if (e.networkId === c.networkId && (!e.address || e.address === c.address)) {
+            c.res.write(message)
+        }
+    })
+})
+
+// Server-Sent Events stream of candidate, rank and transaction updates of the network,
+// plus the notifications of the given address
+router.get('/', function (req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')
+
+    const client = {
+        networkId: Network.current().networkId,
+        address: (req.query.address || '').toLowerCase(),
+        res
+    }
+    clients.add(client)
+    // keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000)
+    req.on('close', () => {
+        clearInterval(heartbeat)
+        clients.delete(client)
+    })
+})
+
+module.exports = router
@@ -0,0 +1,139 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const _ = require('lodash')
+const db = require('../models/mongodb')
+const Network = require('../helpers/network')
+const config = Network.config
+const ProviderPool = require('../helpers/providerPool')
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+
+// seconds a check may take before the dependency is reported down
+const checkTimeout = 5
+
+// blocks between two runs of the crawler tasks which follow the chain
+const blockPeriods = () => ({
+    blocks: 1,
+    signs: 1,
+    events: 1 + parseInt(config.get('blockchain.confirmations') || 0),
+    status: parseInt(config.get('blockchain.epoch')),
+    snapshot: parseInt(config.get('blockchain.epoch')),
+    rewards: parseInt(config.get('blockchain.epoch')),
+    rank: 50,
+    withdraw: 10,
+    risk: 10
+})
+// seconds between two runs of the periodic crawler tasks
+const timePeriods = {
+    webhooks: 5,
+    claims: 600,
+    transactions: 5
+}
+
+async function check (fn) {
+    const started = Date.now()
+    let timer
+    try {
+        const value = await Promise.race([
+            fn(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('timeout')), checkTimeout * 1000)
+            })
+        ])
+        return { connected: true, latency: Date.now() - started, value }
+    } catch (e) {
+        return { connected: false, latency: Date.now() - started, error: e.message }
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+function taskHealth (heartbeat, head, now) {
+    const maxLag = parseInt(config.get('health.maxLag'))
+    const maxAge = parseInt(config.get('health.maxAge'))
+    const blockPeriod = blockPeriods()[heartbeat.task]
+    const timePeriod = timePeriods[heartbeat.task]
+    const failing = !!heartbeat.lastErrorAt &&
+        (!heartbeat.lastSuccessAt || heartbeat.lastErrorAt > heartbeat.lastSuccessAt)
+    const lag = (head !== null && heartbeat.blockNumber !== undefined) ? head - heartbeat.blockNumber : null
+    const age = heartbeat.lastSuccessAt ? Math.round((now - heartbeat.lastSuccessAt) / 1000) : null
+
+    let healthy = !failing
+    if (blockPeriod) {
+        healthy = healthy && lag !== null && lag <= blockPeriod + maxLag
+    } else if (timePeriod) {
+        healthy = healthy && age !== null && age <= timePeriod + maxAge
+    }
+    return Object.assign(_.pick(heartbeat, ['blockNumber', 'epoch', 'lastRunAt', 'lastSuccessAt',
+        'lastError', 'lastErrorAt']), { lag, age, failing, healthy })
+}
+
+// endpoints without their url and error, they may carry credentials or internal hosts
+const endpointHealth = (pools, head) => _.flatMap(pools, p => p.endpoints.map(e => ({
+    pool: p.name,
+    type: e.type,
+    active: p.active === e.url,
+    healthy: e.healthy,
+    lag: (head !== null && e.blockNumber !== undefined && e.blockNumber !== null) ? head - e.blockNumber : null
+})))
+
+// Crawler progress and errors from its heartbeats, connectivity of the server.
+// Answers 503 when the database, the RPC or the crawler is down
+router.get('/', async function (req, res, next) {
+    try {
+        const network = Network.current()
+        const now = new Date()
+        const [ mongodb, rpc ] = await Promise.all([
+            check(() => db.mongoose.connection.db.admin().ping()),
+            check(() => web3.eth.getBlockNumber())
+        ])
+        const head = rpc.connected ? rpc.value : null
+        const heartbeats = mongodb.connected
+            ? await db.CrawlerHeartbeat.find().lean().exec()
+            : []
+
+        const crawler = heartbeats.find(h => h.task === 'crawler') || {}
+        const blocks = heartbeats.find(h => h.task === 'blocks') || {}
+        const crawlerAlive = !!crawler.lastRunAt &&
+            (now - crawler.lastRunAt) / 1000 <= parseInt(config.get('health.maxAge'))
+        const tasks = _.fromPairs(heartbeats.filter(h => h.task !== 'crawler')
+            .map(h => [h.task, taskHealth(h, head, now)]))
+
+        let status = 'ok'
+        if (!mongodb.connected || !rpc.connected || !crawlerAlive) {
+            status = 'down'
+        } else if (_.some(tasks, t => !t.healthy)) {
+            status = 'degraded'
+        }
+
+        return res.status(status === 'down' ? 503 : 200).json({
+            status,
+            network: network.name,
+            networkId: network.networkId,
+            uptime: Math.round(process.uptime()),
+            blockNumber: head,
+            epoch: head !== null ? parseInt(head / parseInt(config.get('blockchain.epoch'))) + 1 : null,
+            mongodb: _.pick(mongodb, ['connected', 'latency']),
+            rpc: Object.assign(_.pick(rpc, ['connected', 'latency']), {
+                endpoints: endpointHealth(ProviderPool.state(network.name), head)
+            }),
+            crawler: {
+                alive: crawlerAlive,
+                host: crawler.host,
+                pid: crawler.pid,
+                startedAt: crawler.startedAt,
+                uptime: crawler.startedAt ? Math.round((now - crawler.startedAt) / 1000) : null,
+                lastBeatAt: crawler.lastRunAt,
+                blockNumber: blocks.blockNumber,
+                epoch: blocks.epoch,
+                lag: (head !== null && blocks.blockNumber !== undefined) ? head - blocks.blockNumber : null,
+                providers: endpointHealth(crawler.providers || [], head)
+            },
+            tasks
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
@@ -1,6 +1,27 @@
 'use strict'
 const express = require('express')
 const router = express.Router()
+const Network = require('../helpers/network')
+
+// Select the network of the request, either from the /api/<network>/ prefix
+// or from the X-Network header (name or networkId), defaults to the first network
+router.use('/api', function (req, res, next) {
+    const prefix = req.url.split('/')[1]
+    let network = Network.find(prefix)
+    if (network) {
+        req.url = req.url.substr(prefix.length + 1) || '/'
+    } else if (req.get('X-Network')) {
+        network = Network.find(req.get('X-Network'))
+        if (!network) {
+            return next(new Error(`network ${req.get('X-Network')} is not supported`))
+        }
+    }
+    return Network.run(network || Network.current(), () => {
+        Network.bindEmitter(req)
+        Network.bindEmitter(res)
+        return next()
+    })
+})
 
 router.use('/api/candidates', require('./candidates'))
 router.use('/api/voters', require('./voters'))
@@ -9,6 +30,13 @@ router.use('/api/config', require('./config'))
 router.use('/api/signers', require('./signers'))
 router.use('/api/transactions', require('./transactions'))
 router.use('/api/search', require('./search'))
-router.use('/api/auth', require('./auth'))
+router.use('/api/monitor', require('./monitor'))
+router.use('/api/webhooks', require('./webhooks'))
+router.use('/api/channels', require('./channels'))
+router.use('/api/events', require('./events'))
+router.use('/api/sessions', require('./sessions'))
+router.use('/api/validate-action', require('./actions'))
+router.use('/api/epochs', require('./epochs'))
+router.use('/api/health', require('./health'))
 
 module.exports = router
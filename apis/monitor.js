@@ -0,0 +1,115 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const db = require('../models/mongodb')
+const config = require('../helpers/network').config
+const Signing = require('../helpers/signing')
+const { validationResult, query } = require('express-validator/check')
+
+const maxEpochs = 1000
+
+// Rank history is keyed apart from the status epochs
+const rankEpochs = (fromEpoch, toEpoch) => ({
+    $gte: Signing.rankEpoch(fromEpoch),
+    $lte: Signing.rankEpoch(toEpoch)
+})
+
+// Whitelisted series, each one returns [[epoch, value], ...] for the given range
+const series = {
+    // number of masternodes in the epoch
+    masternodes: async (fromEpoch, toEpoch) => {
+        return countStatus('MASTERNODE', fromEpoch, toEpoch)
+    },
+    // number of slashed masternodes in the epoch
+    slashed: async (fromEpoch, toEpoch) => {
+        const penalties = await db.Penalty.find({
+            epoch: { $gte: fromEpoch, $lte: toEpoch }
+        }).sort({ epoch: 1 }).lean().exec()
+        return penalties.map(p => [p.epoch, (p.penalties || []).length])
+    },
+    // capacity of the ranked candidates at the checkpoint, the masternodes and slashed ones,
+    // in TOMO. Proposed candidates are not ranked, it is not the total stake
+    capacity: async (fromEpoch, toEpoch) => {
+        const ranks = await db.Rank.aggregate([
+            { $match: { epoch: rankEpochs(fromEpoch, toEpoch) } },
+            { $group: { _id: '$epoch', capacity: { $sum: '$capacityNumber' } } },
+            { $sort: { _id: 1 } }
+        ])
+        return ranks.map(r => [Signing.rankStatusEpoch(r._id), r.capacity])
+    },
+    // rank of the given candidate
+    rank: async (fromEpoch, toEpoch, candidate) => {
+        const ranks = await db.Rank.find({
+            candidate: candidate,
+            epoch: rankEpochs(fromEpoch, toEpoch)
+        }).sort({ epoch: 1 }).lean().exec()
+        return ranks.map(r => [Signing.rankStatusEpoch(r.epoch), r.rank])
+    },
+    // number of block signers recorded at the checkpoint of the epoch
+    signers: async (fromEpoch, toEpoch) => {
+        const epoch = parseInt(config.get('blockchain.epoch'))
+        const signers = await db.Signer.find({
+            blockNumber: { $gte: (fromEpoch - 1) * epoch, $lte: (toEpoch - 1) * epoch }
+        }).sort({ blockNumber: 1 }).lean().exec()
+        return signers.map(s => [parseInt(s.blockNumber / epoch) + 1, (s.signers || []).length])
+    }
+}
+
+async function countStatus (status, fromEpoch, toEpoch) {
+    const counts = await db.Status.aggregate([
+        { $match: { status: status, epoch: { $gte: fromEpoch, $lte: toEpoch } } },
+        { $group: { _id: '$epoch', total: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+    ])
+    return counts.map(c => [c._id, c.total])
+}
+
+router.get('/', [
+    query('series').exists().withMessage('series is required')
+        .custom(value => value.split(',').every(s => Object.keys(series).indexOf(s) >= 0))
+        .withMessage(`series should be in ${Object.keys(series).join(', ')}`),
+    query('fromEpoch').optional().isInt({ min: 1 }).withMessage('fromEpoch should be a positive number'),
+    query('toEpoch').optional().isInt({ min: 1 }).withMessage('toEpoch should be a positive number'),
+    query('candidate').optional().isLength({ min: 1 }).withMessage('candidate is required')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const names = req.query.series.split(',')
+        const candidate = (req.query.candidate || '').toLowerCase()
+        if (names.indexOf('rank') >= 0 && !candidate) {
+            return next(new Error('candidate is required for rank series'))
+        }
+
+        let toEpoch = parseInt(req.query.toEpoch)
+        if (!toEpoch) {
+            const latest = await db.Status.findOne({}).sort({ epoch: -1 }).lean().exec()
+            toEpoch = (latest || {}).epoch || 1
+        }
+        const fromEpoch = parseInt(req.query.fromEpoch) || Math.max(toEpoch - 100, 1)
+        if (fromEpoch > toEpoch || toEpoch - fromEpoch > maxEpochs) {
+            return next(new Error(`epoch range should be less than ${maxEpochs} epochs`))
+        }
+
+        const results = await Promise.all(names.map(async name => {
+            return {
+                series: [{
+                    name: name,
+                    columns: ['epoch', name],
+                    values: await series[name](fromEpoch, toEpoch, candidate)
+                }]
+            }
+        }))
+        return res.json({
+            fromEpoch,
+            toEpoch,
+            results
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
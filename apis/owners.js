@@ -2,9 +2,15 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../models/mongodb')
-const config = require('config')
+const config = require('../helpers/network').config
+const moment = require('moment')
+const BigNumber = require('bignumber.js')
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const Validator = require('../models/blockchain/validator')
 const { validationResult, query } = require('express-validator/check')
 
+const validator = new Validator(web3)
+
 router.get('/:owner/withdraws', [
     query('limit')
         .isInt({ min: 0, max: 200 }).optional().withMessage('limit should greater than 0 and less than 200'),
@@ -26,4 +32,63 @@ router.get('/:owner/withdraws', [
     return res.json(wds)
 })
 
+// Locked caps of unvotes and resigns, read from the contract as the address
+router.get('/:address/pending-withdrawals', async function (req, res, next) {
+    try {
+        const address = (req.params.address || '').toLowerCase()
+        if (!web3.utils.isAddress(address)) {
+            return next(new Error('address is invalid'))
+        }
+        const [ currentBlock, blockNumbers, voterDelay, candidateDelay ] = await Promise.all([
+            web3.eth.getBlockNumber(),
+            validator.methods.getWithdrawBlockNumbers().call({ from: address }),
+            validator.methods.voterWithdrawDelay().call(),
+            validator.methods.candidateWithdrawDelay().call()
+        ])
+
+        // withdrawn entries are zeroed, the same block may be pushed twice but is withdrawn once
+        const pendings = []
+        blockNumbers.forEach((blk, index) => {
+            blk = parseInt(blk)
+            if (blk > 0 && !pendings.find(p => p.blockNumber === blk)) {
+                pendings.push({ blockNumber: blk, index })
+            }
+        })
+
+        const items = await Promise.all(pendings.map(async (p) => {
+            const cap = new BigNumber(await validator.methods.getWithdrawCap(p.blockNumber).call({ from: address }))
+            if (cap.isZero()) {
+                return null
+            }
+            const tx = await db.Transaction.findOne({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                voter: address,
+                $or: [
+                    { event: 'Unvote', blockNumber: p.blockNumber - parseInt(voterDelay) },
+                    { event: 'Resign', blockNumber: p.blockNumber - parseInt(candidateDelay) }
+                ]
+            }).lean().exec() || {}
+            return {
+                blockNumber: p.blockNumber,
+                index: p.index,
+                capacity: cap.toString(10),
+                amount: cap.div(1e18).toString(10),
+                claimable: currentBlock >= p.blockNumber,
+                estimatedUnlockTime: moment().add(
+                    (p.blockNumber - currentBlock) * config.get('blockchain.blockTime'), 'seconds').utc(),
+                event: tx.event,
+                candidate: tx.candidate,
+                tx: tx.tx
+            }
+        }))
+
+        return res.json({
+            currentBlock,
+            items: items.filter(i => i).sort((a, b) => a.blockNumber - b.blockNumber)
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
 module.exports = router
@@ -2,7 +2,7 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../models/mongodb')
-const config = require('config')
+const config = require('../helpers/network').config
 
 router.get('/:candidate', async function (req, res, next) {
     let search = req.params.candidate
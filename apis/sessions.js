@@ -0,0 +1,77 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const _ = require('lodash')
+const SigningSession = require('../helpers/signingSession')
+const { check, validationResult } = require('express-validator/check')
+
+// Create a session to be signed with TomoWallet, the QR code encodes the message and the url
+router.post('/', [
+    check('action').isIn(_.keys(SigningSession.actions))
+        .withMessage(`action should be in ${_.keys(SigningSession.actions).join(', ')}`),
+    check('address').custom((value, { req }) => req.body.action === 'login' || !!value)
+        .withMessage('address is required'),
+    check('amount').optional().isFloat({ min: 0 }).withMessage('amount should be a positive number'),
+    check('blockNumber').optional().isInt({ min: 0 }).withMessage('blockNumber should be a positive number'),
+    check('index').optional().isInt({ min: 0 }).withMessage('index should be a positive number'),
+    check('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('url is invalid'),
+    check('channel').optional().isIn(['email', 'telegram']).withMessage('channel should be email or telegram'),
+    check('target').optional()
+        .custom((value, { req }) => req.body.channel !== 'email' || /^[^@\s]+@[^@\s]+$/.test(value))
+        .withMessage('target should be an email address')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const session = await SigningSession.create(
+            req.body.action,
+            req.body.address,
+            _.pick(req.body, ['candidate', 'amount', 'blockNumber', 'index', 'url', 'channel', 'target'])
+        )
+        return res.json(session)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+router.get('/:id', async function (req, res, next) {
+    try {
+        const session = await SigningSession.status(req.params.id)
+        if (!session) {
+            return next(new Error('Session not found'))
+        }
+        return res.json(session)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// Submit url of the QR code, TomoWallet posts {message, signature, signer}
+// or {action, signer, rawTx, candidate, amount}
+router.post('/:id/sign', [
+    check('signer').isLength({ min: 1 }).exists().withMessage('signer is required'),
+    check('rawTx').custom((value, { req }) => !!value || (!!req.body.message && !!req.body.signature))
+        .withMessage('rawTx or message and signature are required')
+], async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const result = await SigningSession.sign(req.params.id, req.body)
+        if (req.body.rawTx) {
+            return res.json({
+                status: 'Done',
+                transactionHash: result
+            })
+        }
+        return res.send('Done')
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
@@ -2,7 +2,8 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../models/mongodb')
-const config = require('config')
+const config = require('../helpers/network').config
+const TxTracker = require('../helpers/txTracker')
 const { validationResult, query } = require('express-validator/check')
 
 router.get('/:tx', async function (req, res, next) {
@@ -17,6 +18,19 @@ router.get('/:tx', async function (req, res, next) {
     }
 })
 
+// Status history of a transaction broadcast by TomoMaster
+router.get('/:tx/status', async function (req, res, next) {
+    try {
+        const tracked = await TxTracker.get(req.params.tx)
+        if (!tracked) {
+            return next(new Error('Transaction not found'))
+        }
+        return res.json(tracked)
+    } catch (e) {
+        return next(e)
+    }
+})
+
 router.get('/voter/:voter', [
     query('limit')
         .isInt({ min: 0, max: 200 }).optional().withMessage('limit should greater than 0 and less than 200'),
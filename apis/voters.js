@@ -1,27 +1,23 @@
 'use strict'
 const express = require('express')
-const axios = require('axios')
 const router = express.Router()
 const db = require('../models/mongodb')
-const uuidv4 = require('uuid/v4')
-const config = require('config')
+const config = require('../helpers/network').config
 const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
-const EthereumTx = require('ethereumjs-tx')
+const validator = require('../models/blockchain/validatorRpc')
 const BigNumber = require('bignumber.js')
 const _ = require('lodash')
 const { check, validationResult, query } = require('express-validator/check')
-const urljoin = require('url-join')
-const LRU = require('lru-cache')
-const cache = new LRU({
-    max: 1000,
-    maxAge: 24 * 60 * 60 * 1000 // 1 day
-})
+const logger = require('../helpers/logger')
+const Csv = require('../helpers/csv')
+const { signEpoch, checkpointEpoch } = require('../helpers/signing')
 
 router.get('/:voter/candidates', [
     query('limit')
         .isInt({ min: 0, max: 200 }).optional().withMessage('limit should greater than 0 and less than 200'),
     query('page').isNumeric({ no_symbols: true })
-        .optional().isInt({ min: 0, max: 500 }).withMessage('page should greater than 0 and less than 500')
+        .optional().isInt({ min: 0, max: 500 }).withMessage('page should greater than 0 and less than 500'),
+    query('epoch').optional().isInt({ min: 1 }).withMessage('epoch should be a positive number')
 ], async function (req, res, next) {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -32,11 +28,13 @@ router.get('/:voter/candidates', [
     let skip
     skip = (req.query.page) ? limit * (req.query.page - 1) : 0
     try {
-        const total = db.Voter.countDocuments({
-            smartContractAddress: config.get('blockchain.validatorAddress'),
-            voter: (req.params.voter || '').toLowerCase(),
-            capacityNumber: { $ne: 0 }
-        })
+        // votes at the checkpoint of the given epoch
+        const epoch = parseInt(req.query.epoch) || null
+        const Voter = epoch ? db.VoterSnapshot : db.Voter
+        const filter = epoch ? { epoch } : { smartContractAddress: config.get('blockchain.validatorAddress') }
+        filter.voter = (req.params.voter || '').toLowerCase()
+
+        const total = Voter.countDocuments(Object.assign({ capacityNumber: { $ne: 0 } }, filter))
         const sort = {}
         if (req.query.sortBy) {
             sort[req.query.sortBy] = (req.query.sortDesc === 'true') ? -1 : 1
@@ -44,19 +42,12 @@ router.get('/:voter/candidates', [
             sort.capacityNumber = -1
         }
 
-        let voters = await db.Voter.find({
-            smartContractAddress: config.get('blockchain.validatorAddress'),
-            voter: (req.params.voter || '').toLowerCase(),
-            capacityNumber: { $ne: 0 }
-        }).sort(sort).limit(limit).skip(skip).lean().exec()
+        let voters = await Voter.find(Object.assign({ capacityNumber: { $ne: 0 } }, filter))
+            .sort(sort).limit(limit).skip(skip).lean().exec()
 
-        let totalCandidates = db.Voter.aggregate([
+        let totalCandidates = Voter.aggregate([
             {
-                $match: {
-                    smartContractAddress: config.get('blockchain.validatorAddress'),
-                    voter: (req.params.voter || '').toLowerCase(),
-                    capacityNumber: { $gt: 0 }
-                }
+                $match: Object.assign({ capacityNumber: { $gt: 0 } }, filter)
             },
             {
                 $group: {
@@ -71,13 +62,18 @@ router.get('/:voter/candidates', [
         let candidates = await db.Candidate.find({
             candidate: { $in: cs }
         }).lean().exec()
+        let snapshots = epoch ? await db.CandidateSnapshot.find({
+            epoch,
+            candidate: { $in: cs }
+        }).lean().exec() : []
 
         voters = voters.map(v => {
             let it = (_.findLast(candidates, (c) => {
                 return (c.candidate === v.candidate)
             }) || {})
+            let snapshot = _.find(snapshots, (c) => c.candidate === v.candidate) || {}
             v.candidateName = it.name || 'Anonymous'
-            v.totalCapacity = it.capacity
+            v.totalCapacity = snapshot.capacity || it.capacity
             v.status = it.status
             v.owner = it.owner
             return _.pick(v, ['candidate', 'capacity', 'capacityNumber', 'totalCapacity',
@@ -106,24 +102,24 @@ router.get('/:voter/rewards', [
             return next(errors.array())
         }
 
-        const voter = req.params.voter
+        const voter = (req.params.voter || '').toLowerCase()
         const page = (req.query.page) ? parseInt(req.query.page) : 1
         let limit = (req.query.limit) ? parseInt(req.query.limit) : 100
 
-        const rewards = await axios.post(
-            urljoin(config.get('tomoscanUrl'), 'api/expose/rewards'),
-            {
-                address: voter,
-                limit,
-                page: page
-            }
-        )
+        const total = db.Reward.countDocuments({
+            address: voter,
+            reason: { $in: ['MasterNode', 'Voter'] }
+        })
+        const rewards = await db.Reward.find({
+            address: voter,
+            reason: { $in: ['MasterNode', 'Voter'] }
+        }).sort({ epoch: -1 }).limit(limit).skip(limit * (page - 1)).lean().exec()
 
-        const cs = rewards.data.items.map(r => r.validator)
+        const cs = rewards.map(r => r.validator)
         const candidates = await db.Candidate.find({
             candidate: { $in: cs }
         }).lean().exec()
-        const rd = rewards.data.items.map(r => {
+        const rd = rewards.map(r => {
             r.candidateName = (_.findLast(candidates, (c) => {
                 return (c.candidate.toLowerCase() === r.validator.toLowerCase())
             }) || {}).name || r.validator
@@ -131,224 +127,122 @@ router.get('/:voter/rewards', [
         })
         res.json({
             items: rd,
-            total: rewards.data.total
+            total: await total
         })
     } catch (e) {
         return next(e)
     }
 })
 
-router.post('/generateQR', [
-    check('voter').isLength({ min: 1 }).withMessage('voter is required'),
-    check('amount').isLength({ min: 1 }).withMessage('amount is required'),
-    check('candidate').isLength({ min: 1 }).withMessage('candidate is required'),
-    check('action').isLength({ min: 1 }).withMessage('action is required')
-], async (req, res, next) => {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-        return next(errors.array())
-    }
-    try {
-        const voter = req.body.voter.toLowerCase()
-        const amount = req.body.amount
-        const candidate = req.body.candidate.toLowerCase()
-        const action = req.body.action
-
-        let candidateInfo = (await db.Candidate.findOne({
-            smartContractAddress: config.get('blockchain.validatorAddress'),
-            candidate: candidate
-        }) || {})
-
-        const candidateName = candidateInfo.name ? candidateInfo.name : 'Anonymous'
-
-        const message = voter + ' ' + action + ' ' + amount + ' TOMO for candidate ' + candidate + ' - ' + candidateName
-        const id = uuidv4()
-
-        const signData = {
-            signId: id,
-            action,
-            amount,
-            candidate,
-            status: true
-        }
-
-        await db.SignTransaction.findOneAndUpdate(
-            { signedAddress: voter },
-            signData,
-            { upsert: true, new: true }
-        )
-
-        res.send({
-            candidateName: candidateName,
-            message: (action === 'resign') ? '' : message,
-            url: urljoin(config.get('baseUrl'), `api/voters/verifyTx?id=${id}`),
-            id
-        })
-    } catch (e) {
-        console.log(e)
-        res.send({
-            error: {
-                message: e
-            }
-        })
-    }
-})
+const exportFields = ['type', 'time', 'event', 'candidate', 'candidateName', 'amount', 'epoch', 'blockNumber', 'tx']
 
-router.post('/verifyTx', [
-    query('id').isLength({ min: 1 }).exists().withMessage('is is required')
-        .contains('-').withMessage('wrong id format'),
-    check('action').isLength({ min: 1 }).exists().withMessage('action is required'),
-    check('signer').isLength({ min: 1 }).exists().withMessage('signer is required'),
-    check('rawTx').isLength({ min: 1 }).exists().withMessage('rawTx is required')
-], async (req, res, next) => {
+// Stream the whole vote/unvote/withdraw history and rewards of a voter, without pagination
+router.get('/:voter/export', [
+    query('format').optional().isIn(['csv', 'json']).withMessage('format should be csv or json'),
+    query('from').optional().isISO8601().withMessage('from should be a date'),
+    query('to').optional().isISO8601().withMessage('to should be a date')
+], async function (req, res, next) {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
         return next(errors.array())
     }
     try {
-        const id = escape(req.query.id || '')
-        const action = req.body.action
-        let signer = (req.body.signer || '').toLowerCase()
-        let candidate = (req.body.candidate || '').toLowerCase()
-        const amount = (req.body.amount)
-            ? new BigNumber(req.body.amount.replace(/,/g, '')).toString(10)
-            : undefined
-        const serializedTx = req.body.rawTx
-        if (!amount) {
-            if (action !== 'resign') {
-                throw new Error('amount is required')
+        const voter = (req.params.voter || '').toLowerCase()
+        const format = req.query.format || 'csv'
+        const time = {}
+        if (req.query.from) {
+            time.$gte = new Date(req.query.from)
+        }
+        if (req.query.to) {
+            // a date covers the whole day
+            const to = new Date(req.query.to)
+            if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+                time.$lt = new Date(to.getTime() + 24 * 3600 * 1000)
+            } else {
+                time.$lte = to
             }
         }
 
-        const checkId = await db.SignTransaction.findOne({ signId: id })
-
-        if (!checkId) {
-            throw Error('id is not match, wrong qr code')
-        }
+        const candidates = await db.Candidate.find({
+            smartContractAddress: config.get('blockchain.validatorAddress')
+        }).select({ candidate: 1, name: 1 }).lean().exec()
+        const names = {}
+        candidates.forEach(c => {
+            names[c.candidate] = c.name
+        })
 
-        if (action !== 'withdraw') {
-            if (!candidate) {
-                throw Error('candidate is required')
-            } else if (checkId.candidate.toLowerCase() !== candidate) {
-                throw Error('candidate is not match')
-            }
+        const txFilter = {
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            voter: voter
         }
-        if (!checkId.status) {
-            throw Error('Cannot use a QR code twice')
+        const rewardFilter = {
+            address: voter,
+            reason: { $in: ['MasterNode', 'Voter'] }
         }
-
-        if (action !== checkId.action || id !== checkId.signId) {
-            throw Error(`Wrong action, ${action} in stead of ${checkId.action}`)
+        if (Object.keys(time).length > 0) {
+            txFilter.createdAt = time
+            rewardFilter.rewardTime = time
         }
 
-        let signedAddress = '0x' + new EthereumTx(serializedTx).getSenderAddress().toString('hex')
-
-        signedAddress = signedAddress.toLowerCase()
-
-        if (signedAddress !== signer || signedAddress !== checkId.signedAddress) {
-            throw Error('Signed Address and signer are not match')
-        }
-
-        if (action !== 'resign') {
-            if (checkId.amount !== amount) {
-                throw Error('Amount is not match')
+        res.attachment(`${voter}-history.${format}`)
+        res.type(format)
+        let count = 0
+        // wait for the client to read the buffered rows
+        const drain = () => new Promise((resolve, reject) => {
+            const onDrain = () => {
+                res.removeListener('close', onClose)
+                resolve()
             }
-        }
-
-        web3.eth.sendSignedTransaction(serializedTx, async (error, hash) => {
-            if (error) {
-                if (action === 'vote') {
-                    try {
-                        const balance = await web3.eth.getBalance(signedAddress)
-                        if (balance) {
-                            const convertedBalanc = new BigNumber(balance).div(10 ** 18)
-                            const convertedAmount = new BigNumber(amount)
-
-                            if (convertedBalanc.isLessThan(convertedAmount)) {
-                                throw Error('Not enough TOMO')
-                            } else {
-                                throw Error('Something went wrong')
-                            }
-                        }
-                    } catch (error) {
-                        console.trace(error)
-                        console.log(error)
-                        return next(error)
-                    }
-                } else next(error)
-            } else {
-                try {
-                    // Store id, address, msg, signature
-                    let sign = await db.SignTransaction.findOne({ signedAddress: signedAddress })
-                    if (!sign) {
-                        sign = {}
-                    }
-                    sign.action = action
-                    sign.signId = id
-                    sign.amount = amount
-                    sign.candidate = candidate
-                    sign.tx = hash
-                    sign.status = false
-
-                    await db.SignTransaction.findOneAndUpdate(
-                        { signedAddress: signedAddress },
-                        sign,
-                        { upsert: true, new: true }
-                    )
-                    return res.send({
-                        status: 'Done',
-                        transactionHash: hash
-                    })
-                } catch (error) {
-                    console.trace(error)
-                    console.log(error)
-                    return next(error)
-                }
+            const onClose = () => {
+                res.removeListener('drain', onDrain)
+                reject(Error('Connection closed'))
             }
+            res.once('drain', onDrain)
+            res.once('close', onClose)
         })
-    } catch (e) {
-        console.trace(e)
-        console.log(e)
-        return next(e)
-    }
-})
-
-router.get('/getScanningResult', [
-    query('id').isLength({ min: 1 }).exists().withMessage('id is required')
-        .contains('-').withMessage('wrong id format')
-], async (req, res, next) => {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-        return next(errors.array())
-    }
-    try {
-        const id = escape(req.query.id || '')
-
-        const signTx = await db.SignTransaction.findOne({ signId: id })
-
-        if (signTx && id === signTx.signId && !signTx.status) {
-            const checkTx = await web3.eth.getTransactionReceipt(signTx.tx)
-            // const checkTx = ((signTx || {}).tx && action === 'withdraw')
-            //     ? true : await db.Transaction.findOne({ tx: signTx.tx })
-            if (checkTx) {
-                res.send({
-                    tx: signTx.tx,
-                    status: checkTx.status
-                })
-            } else {
-                res.send('Scanned, getting transaction hash')
-            }
-        } else {
-            res.send({
-                error: {
-                    message: 'Not match'
-                }
-            })
+        const write = (row) => {
+            const flushed = res.write(format === 'csv'
+                ? Csv.row(exportFields.map(f => row[f]))
+                : (count > 0 ? ',' : '') + JSON.stringify(row))
+            count++
+            return flushed ? Promise.resolve() : drain()
         }
+        res.write(format === 'csv' ? Csv.row(exportFields) : '[')
+
+        await db.Transaction.find(txFilter).sort({ blockNumber: 1 }).lean().cursor().eachAsync(t => {
+            return write({
+                type: 'transaction',
+                time: t.createdAt ? new Date(t.createdAt).toISOString() : '',
+                event: t.event,
+                candidate: t.event === 'Withdraw' ? '' : t.candidate,
+                candidateName: t.event === 'Withdraw' ? '' : (names[t.candidate] || 'Anonymous'),
+                amount: new BigNumber(t.capacity || 0).div(1e18).toString(10),
+                epoch: t.blockNumber ? signEpoch(t.blockNumber, parseInt(config.get('blockchain.epoch'))) : '',
+                blockNumber: t.blockNumber,
+                tx: t.tx
+            })
+        })
+        await db.Reward.find(rewardFilter).sort({ epoch: 1 }).lean().cursor().eachAsync(r => {
+            return write({
+                type: 'reward',
+                time: r.rewardTime ? new Date(r.rewardTime).toISOString() : '',
+                event: r.reason,
+                candidate: r.validator,
+                candidateName: names[r.validator] || 'Anonymous',
+                amount: r.reward,
+                epoch: r.epoch,
+                blockNumber: r.endBlock,
+                tx: ''
+            })
+        })
+
+        return res.end(format === 'csv' ? '' : ']')
     } catch (e) {
-        console.trace(e)
-        console.log(e)
-        return res.status(500).send(e)
+        if (res.headersSent) {
+            logger.error('export voter %s history %s', req.params.voter, e)
+            return res.end()
+        }
+        return next(e)
     }
 })
 
@@ -384,51 +278,27 @@ router.get('/calculatingReward1Day', [], async (req, res, next) => {
         }
 
         // get latest reward
-        let cacheKey = urljoin(config.get('tomoscanUrl'),
-            'api/expose/rewards', address.toLowerCase(), candidate.owner.toLowerCase())
-        let rewards = cache.get(cacheKey)
-        if (!rewards) {
-            rewards = await axios.post(
-                urljoin(config.get('tomoscanUrl'), 'api/expose/rewards'),
-                {
-                    address: address,
-                    limit: 1,
-                    page: 1,
-                    owner: candidate.owner,
-                    reason: 'Voter'
-                }
-            )
-            cache.set(cacheKey, rewards)
-        }
+        const latestReward = await db.Reward.findOne({
+            validator: address,
+            reason: 'MasterNode'
+        }).sort({ epoch: -1 }).lean().exec()
 
         let signNumber = 0
-        let epoch
-        if (rewards.data.items.length > 0) {
-            signNumber = rewards.data.items[0].signNumber
-            epoch = rewards.data.items[0].epoch
+        let totalSignNumber = 0
+        if (latestReward) {
+            signNumber = latestReward.signNumber
+            totalSignNumber = latestReward.totalSignNumber
         }
 
         const capacity = new BigNumber(candidate.capacity).div(10 ** 18)
         const totalReward = new BigNumber(config.get('blockchain.reward'))
-        // get total signers in latest epoch
-        let totalSigners
-        if (epoch) {
-            cacheKey = urljoin(config.get('tomoscanUrl'), `api/expose/totalSignNumber/${epoch}`)
-            totalSigners = cache.get(cacheKey)
-            if (!totalSigners) {
-                totalSigners = await axios.post(
-                    urljoin(config.get('tomoscanUrl'), `api/expose/totalSignNumber/${epoch}`)
-                )
-                cache.set(cacheKey, totalSigners)
-            }
-        }
 
-        if (totalSigners && totalSigners.data && totalSigners.data.totalSignNumber) {
+        if (totalSignNumber) {
             // calculate devided reward
-            const masternodeReward = totalReward.multipliedBy(signNumber).dividedBy(totalSigners.data.totalSignNumber)
+            const masternodeReward = totalReward.multipliedBy(signNumber).dividedBy(totalSignNumber)
 
             // calculate voter reward 1 day
-            const estimateReward = masternodeReward.multipliedBy(0.5)
+            const estimateReward = masternodeReward.multipliedBy(config.get('blockchain.voterRewardRate')).div(100)
                 .multipliedBy(amount).div(capacity.plus(amount)).multipliedBy(await epochIn1Day) || 'N/A'
             return res.send(estimateReward.toString(10))
         }
@@ -615,4 +485,179 @@ router.get('/averageroi', [], async (req, res, next) => {
     }
 })
 
+// Project the rewards of a new allocation of the voter's stake with the annualReward model,
+// the rank changes it causes and the cost of the unvoted amount being locked.
+// Amounts are in TOMO, candidates which are not in the allocations keep their current stake
+router.post('/simulate', [
+    check('voter').isLength({ min: 1 }).exists().withMessage('voter is required'),
+    check('allocations').custom(value => Array.isArray(value) && value.length > 0 && value.length <= 50)
+        .withMessage('allocations should be a list of 1 - 50 items'),
+    check('allocations.*.candidate').isLength({ min: 1 }).withMessage('candidate is required'),
+    check('allocations.*.amount').isFloat({ min: 0 }).withMessage('amount should be a positive number')
+], async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const voter = req.body.voter.toLowerCase()
+        const epochBlocks = parseInt(config.get('blockchain.epoch'))
+        const latestBlock = await web3.eth.getBlockNumber()
+        const latestCheckpoint = latestBlock - (latestBlock % epochBlocks)
+        // the masternodes of the current epoch were chosen at the latest checkpoint
+        const lastEpoch = checkpointEpoch(latestCheckpoint, epochBlocks)
+
+        const [ candidates, stakes, numberOfMN, maxValidatorNumber, minVoterCap, minCandidateCap,
+            voterWithdrawDelay, fromBlock, toBlock ] = await Promise.all([
+            db.Candidate.find({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                status: { $ne: 'RESIGNED' }
+            }).lean().exec(),
+            db.Voter.find({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                voter: voter,
+                capacityNumber: { $gt: 0 }
+            }).lean().exec(),
+            db.Status.countDocuments({ epoch: lastEpoch, status: 'MASTERNODE' }),
+            validator.methods.maxValidatorNumber().call(),
+            validator.methods.minVoterCap().call(),
+            validator.methods.minCandidateCap().call(),
+            validator.methods.voterWithdrawDelay().call(),
+            web3.eth.getBlock(latestCheckpoint - epochBlocks + 1),
+            web3.eth.getBlock(latestCheckpoint)
+        ])
+
+        const toTomo = (wei) => new BigNumber(wei || 0).div(10 ** 18)
+        const current = {}
+        stakes.forEach(v => {
+            current[v.candidate] = toTomo(v.capacity)
+        })
+        const target = Object.assign({}, current)
+        for (const a of req.body.allocations) {
+            const candidate = a.candidate.toLowerCase()
+            const c = candidates.find(c => c.candidate === candidate)
+            if (!c) {
+                return next(new Error(`${candidate} is not an active candidate`))
+            }
+            const amount = new BigNumber(a.amount)
+            const delta = amount.minus(current[candidate] || 0)
+            if (delta.isGreaterThan(0) && delta.isLessThan(toTomo(minVoterCap))) {
+                return next(new Error(`Vote on ${candidate} should be at least ${toTomo(minVoterCap)} TOMO`))
+            }
+            if (delta.isLessThan(0) && c.owner === voter && amount.isLessThan(toTomo(minCandidateCap))) {
+                return next(new Error(`The owner stake of ${candidate} can not go under ` +
+                    `${toTomo(minCandidateCap)} TOMO`))
+            }
+            target[candidate] = amount
+        }
+
+        // ranks by capacity, the top maxValidatorNumber candidates are masternodes at the next checkpoint
+        const capacities = (stake) => candidates.map(c => ({
+            candidate: c.candidate,
+            capacity: toTomo(c.capacity).minus(current[c.candidate] || 0).plus(stake[c.candidate] || 0)
+        }))
+        const ranks = (caps) => {
+            const r = {}
+            caps.slice().sort((a, b) => b.capacity.comparedTo(a.capacity))
+                .forEach((c, i) => { r[c.candidate] = i + 1 })
+            return r
+        }
+        const capsBefore = capacities(current)
+        const capsAfter = capacities(target)
+        const ranksBefore = ranks(capsBefore)
+        const ranksAfter = ranks(capsAfter)
+        const inTop = (rank) => rank <= parseInt(maxValidatorNumber)
+
+        const epochDuration = (toBlock.timestamp - fromBlock.timestamp) / 60 // minutes
+        const epochYear = (60 * 24 * 365) / epochDuration
+        const masternodeReward = new BigNumber(config.get('blockchain.reward'))
+            .dividedBy(numberOfMN || parseInt(maxValidatorNumber))
+        const voterReward = (candidate, stake, caps, rank) => {
+            // resigned candidates have no rank
+            const capacity = (caps.find(c => c.candidate === candidate) || {}).capacity
+            if (!inTop(rank) || !stake || stake.isZero() || !capacity || capacity.isZero()) {
+                return new BigNumber(0)
+            }
+            return masternodeReward.multipliedBy(config.get('blockchain.voterRewardRate')).dividedBy(100)
+                .multipliedBy(stake).dividedBy(capacity)
+        }
+
+        const lockEpochs = parseInt(voterWithdrawDelay) / epochBlocks
+        let totalBefore = new BigNumber(0)
+        let totalAfter = new BigNumber(0)
+        let voteAmount = new BigNumber(0)
+        let unvoteAmount = new BigNumber(0)
+        let missedReward = new BigNumber(0)
+        const items = Object.keys(target).map(candidate => {
+            const c = candidates.find(c => c.candidate === candidate) || {}
+            const before = current[candidate] || new BigNumber(0)
+            const after = target[candidate]
+            const delta = after.minus(before)
+            const rewardBefore = voterReward(candidate, before, capsBefore, ranksBefore[candidate])
+            const rewardAfter = voterReward(candidate, after, capsAfter, ranksAfter[candidate])
+            totalBefore = totalBefore.plus(rewardBefore)
+            totalAfter = totalAfter.plus(rewardAfter)
+            if (delta.isGreaterThan(0)) {
+                voteAmount = voteAmount.plus(delta)
+            } else if (delta.isLessThan(0)) {
+                unvoteAmount = unvoteAmount.minus(delta)
+                // the unvoted part earns nothing until it can be withdrawn
+                missedReward = missedReward.plus(rewardBefore.multipliedBy(delta.abs()).dividedBy(before)
+                    .multipliedBy(lockEpochs))
+            }
+            return {
+                candidate,
+                name: c.name || 'Anonymous',
+                currentAmount: before.toString(10),
+                amount: after.toString(10),
+                action: delta.isZero() ? 'none' : (delta.isGreaterThan(0) ? 'vote' : 'unvote'),
+                delta: delta.toString(10),
+                rankBefore: ranksBefore[candidate],
+                rank: ranksAfter[candidate],
+                rewardPerEpochBefore: rewardBefore.toNumber(),
+                rewardPerEpoch: rewardAfter.toNumber(),
+                annualReward: rewardAfter.multipliedBy(epochYear).toNumber(),
+                roi: after.isZero() ? 0 : rewardAfter.multipliedBy(epochYear).div(after).multipliedBy(100).toNumber()
+            }
+        })
+
+        // every candidate the move pushes into or out of the top
+        const rankChanges = candidates.filter(c => inTop(ranksBefore[c.candidate]) !== inTop(ranksAfter[c.candidate]))
+            .map(c => ({
+                candidate: c.candidate,
+                name: c.name || 'Anonymous',
+                rankBefore: ranksBefore[c.candidate],
+                rank: ranksAfter[c.candidate],
+                enterTop: inTop(ranksAfter[c.candidate])
+            }))
+
+        const lockSeconds = parseInt(voterWithdrawDelay) * parseInt(config.get('blockchain.blockTime'))
+        return res.json({
+            voter,
+            epoch: lastEpoch,
+            epochDuration,
+            numberOfMN,
+            maxValidatorNumber: parseInt(maxValidatorNumber),
+            items,
+            rankChanges,
+            voteAmount: voteAmount.toString(10),
+            unvoteAmount: unvoteAmount.toString(10),
+            rewardPerEpochBefore: totalBefore.toNumber(),
+            rewardPerEpoch: totalAfter.toNumber(),
+            annualRewardBefore: totalBefore.multipliedBy(epochYear).toNumber(),
+            annualReward: totalAfter.multipliedBy(epochYear).toNumber(),
+            lockup: {
+                amount: unvoteAmount.toString(10),
+                blocks: parseInt(voterWithdrawDelay),
+                epochs: lockEpochs,
+                estimatedUnlockTime: unvoteAmount.isZero() ? null
+                    : new Date(Date.now() + lockSeconds * 1000),
+                missedReward: missedReward.toNumber()
+            }
+        })
+    } catch (error) {
+        return next(error)
+    }
+})
+
 module.exports = router
@@ -0,0 +1,119 @@
+'use strict'
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+const _ = require('lodash')
+const db = require('../models/mongodb')
+const SigningSession = require('../helpers/signingSession')
+const HostGuard = require('../helpers/hostGuard')
+const { check, validationResult, query } = require('express-validator/check')
+
+const events = ['Propose', 'Resign', 'Slash', 'Outtop', 'Withdraw', 'AtRisk']
+
+const signed = (location) => [
+    location('sessionId').isLength({ min: 1 }).exists().withMessage('sessionId is required'),
+    location('signature').isLength({ min: 1 }).exists().withMessage('signature is required')
+]
+
+// The owner signs a notifications session to read its webhooks
+router.get('/', signed(query), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const session = await SigningSession.verify(req.query.sessionId, 'notifications', req.query.signature)
+        const webhooks = await db.Webhook.find({
+            address: session.address,
+            active: true
+        }).select({ secret: 0 }).sort({ createdAt: -1 }).lean().exec()
+        return res.json(webhooks)
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// The url is signed in a webhook session, the session is used once
+router.post('/', signed(check).concat([
+    check('events').optional().custom(value => _.difference([].concat(value), events).length === 0)
+        .withMessage(`events should be in ${events.join(', ')}`)
+]), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const session = await SigningSession.consume(req.body.sessionId, 'webhook', req.body.signature)
+        const url = session.payload.url
+        await HostGuard.check(url)
+
+        const secret = crypto.randomBytes(32).toString('hex')
+        const webhook = await db.Webhook.create({
+            address: session.address,
+            url,
+            secret,
+            events: req.body.events ? _.uniq([].concat(req.body.events)) : events
+        })
+        // the secret is not shown again
+        return res.json(_.pick(webhook, ['_id', 'address', 'url', 'secret', 'events', 'createdAt']))
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// The owner signs a notifications session, the session is used once
+router.delete('/:id', signed(check), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    try {
+        const webhook = await db.Webhook.findOne({ _id: req.params.id, active: true })
+        if (!webhook) {
+            return next(new Error('Webhook not found'))
+        }
+        const session = await SigningSession.consume(req.body.sessionId, 'notifications', req.body.signature)
+        if (session.address !== webhook.address) {
+            throw Error('The Signature Message Verification Failed')
+        }
+
+        webhook.active = false
+        await webhook.save()
+        return res.send('Done')
+    } catch (e) {
+        return next(e)
+    }
+})
+
+// The owner signs a notifications session, the responses of the remote host are not shown
+router.get('/:id/deliveries', signed(query).concat([
+    query('limit')
+        .isInt({ min: 0, max: 200 }).optional().withMessage('limit should greater than 0 and less than 200'),
+    query('page').optional().isInt({ min: 0, max: 500 }).withMessage('page should greater than 0 and less than 500')
+]), async function (req, res, next) {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+        return next(errors.array())
+    }
+    const limit = (req.query.limit) ? parseInt(req.query.limit) : 50
+    const skip = (req.query.page) ? limit * (req.query.page - 1) : 0
+    try {
+        const session = await SigningSession.verify(req.query.sessionId, 'notifications', req.query.signature)
+        const webhook = await db.Webhook.findOne({ _id: req.params.id, address: session.address }).lean().exec()
+        if (!webhook) {
+            return next(new Error('Webhook not found'))
+        }
+        const total = db.WebhookDelivery.countDocuments({ webhook: webhook._id })
+        const deliveries = await db.WebhookDelivery.find({ webhook: webhook._id })
+            .select({ responseStatus: 0, lastError: 0 })
+            .sort({ createdAt: -1 }).limit(limit).skip(skip).lean().exec()
+        return res.json({
+            items: deliveries,
+            total: await total
+        })
+    } catch (e) {
+        return next(e)
+    }
+})
+
+module.exports = router
@@ -12,6 +12,9 @@ import VoterView from './components/voters/View'
 import VotingView from './components/voters/Voting'
 import UnvotingView from './components/voters/Unvoting'
 import ConfirmView from './components/voters/Confirm'
+import PlannerView from './components/voters/Planner'
+import EpochList from './components/epochs/List'
+import EpochView from './components/epochs/View'
 import Setting from './components/Setting.vue'
 import PrivacyPolicy from './components/PrivacyPolicy.vue'
 import TermsOfService from './components/TermsOfService.vue'
@@ -25,7 +28,7 @@ import Web3 from 'web3'
 import Toasted from 'vue-toasted'
 import axios from 'axios'
 // import BigNumber from 'bignumber.js'
-// import HighchartsVue from 'highcharts-vue'
+import HighchartsVue from 'highcharts-vue'
 // import Highcharts from 'highcharts'
 // import stockInit from 'highcharts/modules/stock'
 import VueClipboards from 'vue-clipboards'
@@ -71,7 +74,7 @@ TrezorConnect.manifest({
 })
 
 // stockInit(Highcharts)
-// Vue.use(HighchartsVue)
+Vue.use(HighchartsVue)
 
 // Vue.prototype.TomoValidator = contract(TomoValidatorArtifacts)
 Vue.prototype.isElectron = !!(window && window.process && window.process.type)
@@ -278,6 +281,19 @@ Vue.prototype.checkLongNumber = Helper.checkLongNumber
 
 Vue.prototype.formatBigNumber = Helper.formatBigNumber
 
+Vue.prototype.verifiedClaims = Helper.verifiedClaims
+
+// select the network of the backend when it serves several networks
+axios.interceptors.request.use(request => {
+    const network = localStorage.get('apiNetwork')
+    if (network && request.url.indexOf('/api/') === 0) {
+        request.headers['X-Network'] = network
+    }
+    return request
+})
+
+Vue.prototype.apiPath = Helper.apiPath
+
 const getConfig = Vue.prototype.appConfig = async function () {
     let config = await axios.get('/api/config')
     return config.data
@@ -320,6 +336,9 @@ const router = new VueRouter({
         {
             path: '/voter/:address', component: VoterView
         },
+        {
+            path: '/voter/:address/planner', component: PlannerView
+        },
         {
             path: '/voting/:candidate', component: VotingView
         },
@@ -329,6 +348,12 @@ const router = new VueRouter({
         {
             path: '/confirm/:transaction', component: ConfirmView
         },
+        {
+            path: '/epochs', component: EpochList
+        },
+        {
+            path: '/epoch/:epoch', component: EpochView
+        },
         {
             path: '/setting', component: Setting
         },
@@ -369,7 +394,43 @@ Vue.use(Vuex)
 
 const store = new Vuex.Store({
     state: {
-        address: null
+        address: null,
+        // updates pushed by the server through /api/events
+        pushedCandidates: {},
+        pushedTransaction: null,
+        pushedNotifications: 0
+    },
+    mutations: {
+        pushCandidate (state, candidate) {
+            Vue.set(state.pushedCandidates, candidate.candidate,
+                Object.assign({}, state.pushedCandidates[candidate.candidate], candidate))
+        },
+        pushTransaction (state, tx) {
+            state.pushedTransaction = tx
+        },
+        pushNotification (state) {
+            state.pushedNotifications++
+        }
+    },
+    actions: {
+        // (re)open the event stream, notifications are only pushed for the given address
+        subscribe ({ commit }, address) {
+            if (typeof EventSource === 'undefined') {
+                return
+            }
+            if (Vue.prototype.eventSource) {
+                Vue.prototype.eventSource.close()
+            }
+            const source = new EventSource(
+                Helper.apiPath('/api/events') + (address ? `?address=${address.toLowerCase()}` : ''))
+            source.addEventListener('candidate', e => commit('pushCandidate', JSON.parse(e.data)))
+            source.addEventListener('ranks', e => {
+                JSON.parse(e.data).forEach(r => commit('pushCandidate', r))
+            })
+            source.addEventListener('transaction', e => commit('pushTransaction', JSON.parse(e.data)))
+            source.addEventListener('notification', () => commit('pushNotification'))
+            Vue.prototype.eventSource = source
+        }
     }
 })
 Vue.prototype.detectNetwork = async function (provider) {
@@ -536,6 +597,21 @@ Vue.prototype.signMessage = async function (message) {
     }
 }
 
+// Check an action against the rules of the validator contract before it is signed
+Vue.prototype.validateAction = async function (body) {
+    try {
+        const { data } = await axios.post('/api/validate-action', body)
+        if (!data.valid) {
+            this.$toasted.show(data.reasons.map(r => r.message).join('. '), { type: 'error' })
+        }
+        return data.valid
+    } catch (e) {
+        const error = ((e.response || {}).data || {}).error || {}
+        this.$toasted.show(error.message || String(e), { type: 'error' })
+        return false
+    }
+}
+
 Vue.prototype.serializeQuery = Helper.serializeQuery
 
 Vue.prototype.truncate = Helper.truncate
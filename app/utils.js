@@ -2,6 +2,7 @@ import BigNumber from 'bignumber.js'
 import TomoValidatorArtifacts from '../build/contracts/TomoValidator.json'
 import Cookies from 'js-cookie'
 import axios from 'axios'
+import store from 'store'
 
 const Helper = {
     getCurrencySymbol () {
@@ -88,6 +89,15 @@ const Helper = {
 
         return this.formatNumber(num)
     },
+    // urls which can not carry the X-Network header (EventSource, links) select the network by path
+    apiPath (path) {
+        const network = store.get('apiNetwork')
+        return network ? path.replace(/^\/api\//, `/api/${network}/`) : path
+    },
+    // socials of which the owner proved control, see /api/candidates/{candidate}/claims
+    verifiedClaims (candidate) {
+        return ['website', 'github'].filter(t => ((candidate.claims || {})[t] || {}).status === 'VERIFIED')
+    },
     TomoValidatorArtifacts,
     async listTomoPool () {
         const KEY = 'tomopool'
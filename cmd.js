@@ -7,7 +7,11 @@ const cmdValidator = require('./commands/validator')
 const { updatePenalty } = require('./commands/penalty')
 const { updateStatus } = require('./commands/status')
 const { watchValidator } = require('./commands/recrawl')
-const web3Rpc = require('./models/blockchain/web3rpc').Web3RpcInternal()
+const cmdReward = require('./commands/reward')
+const cmdSnapshot = require('./commands/snapshot')
+const cmdFixtures = require('./commands/fixtures')
+const Network = require('./helpers/network')
+const ClaimHelper = require('./helpers/claim')
 
 commander
     .version('0.1.0')
@@ -85,10 +89,11 @@ commander
         if (options.scWebsite) {
             set['socials.website'] = options.scWebsite
         }
+        const candidate = await db.Candidate.findOne({ candidate: id }).lean().exec()
         let u = await db.Candidate.updateOne({
             candidate: id
         }, {
-            $set: set
+            $set: Object.assign({}, set, candidate ? ClaimHelper.invalidate(candidate, set) : {})
         })
         console.log(u)
         process.exit()
@@ -99,16 +104,7 @@ commander
     .alias('up')
     .description('Update penalty table')
     .action(async () => {
-        let latestBlockNumber = await web3Rpc.eth.getBlockNumber()
-        const num1To = parseInt(latestBlockNumber / 3) - 1
-        const num2From = latestBlockNumber + 1
-        const num2To = parseInt(latestBlockNumber / 3) * 2
-        const num3From = (parseInt(latestBlockNumber / 3) * 2) + 1
-        await Promise.all([
-            updatePenalty(0, num1To),
-            updatePenalty(num2From, num2To),
-            updatePenalty(num3From, latestBlockNumber)
-        ])
+        await updatePenalty()
         process.exit()
     })
 
@@ -141,4 +137,80 @@ commander
         process.exit()
     })
 
+commander
+    .command('update-reward')
+    .description('Re-compute rewards from the stored signed blocks')
+    .option('-f, --fromEpoch <fromEpoch>', 'From epoch')
+    .option('-t, --toEpoch <toEpoch>', 'To epoch')
+    .action(async (input) => {
+        const fromEpoch = parseInt(input.fromEpoch) || null
+        const toEpoch = parseInt(input.toEpoch) || null
+        await cmdReward.run(fromEpoch, toEpoch)
+        process.exit()
+    })
+
+commander
+    .command('update-snapshot')
+    .description('Backfill voter and candidate capacity snapshots from the contract state at each checkpoint')
+    .option('-f, --fromEpoch <fromEpoch>', 'From epoch')
+    .option('-t, --toEpoch <toEpoch>', 'To epoch')
+    .action(async (input) => {
+        const fromEpoch = parseInt(input.fromEpoch) || null
+        const toEpoch = parseInt(input.toEpoch) || null
+        await cmdSnapshot.run(fromEpoch, toEpoch)
+        process.exit()
+    })
+
+commander
+    .command('verify-claims')
+    .description('Check the pending website and GitHub claims of candidates and the verified ones older than a day')
+    .action(async () => {
+        const checked = await ClaimHelper.processClaims()
+        console.log('Checked', checked, 'claims')
+        process.exit()
+    })
+
+commander
+    .command('clean-rank')
+    .description('Remove rank history stored with a numeric candidate address')
+    .action(async () => {
+        const r = await db.Rank.deleteMany({
+            candidate: { $type: 'number' }
+        })
+        console.log(r)
+        process.exit()
+    })
+
+commander
+    .command('set-network')
+    .description('Assign the documents stored before multi-network support to the network of NETWORK ' +
+        '(the first configured network by default) and rebuild the indexes')
+    .action(async () => {
+        const network = Network.current()
+        // push events are transient and documents of a capped collection can not grow
+        for (const name of Object.keys(db).filter(k => db[k].modelName && !db[k].schema.options.capped)) {
+            const r = await db[name].updateMany({
+                networkId: { $exists: false }
+            }, {
+                $set: { networkId: network.networkId }
+            })
+            await db[name].syncIndexes()
+            console.log(name, r.nModified)
+        }
+        process.exit()
+    })
+
+commander
+    .command('fixtures <scenario>')
+    .description('Seed a local devnet with the candidates, votes, resignations and withdrawals of a YAML scenario')
+    .option('-g, --ganache', 'Start ganache on the port of the scenario rpc, with the scenario mnemonic')
+    .option('-c, --crawl', 'Run the crawler against the devnet afterwards')
+    .action(async (scenario, options) => {
+        const failures = await cmdFixtures.run(cmdFixtures.load(scenario), options)
+        // ganache and the crawler keep running
+        if (!options.ganache && !options.crawl) {
+            process.exit(failures > 0 ? 1 : 0)
+        }
+    })
+
 commander.parse(process.argv)
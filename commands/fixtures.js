@@ -0,0 +1,188 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const url = require('url')
+const { fork } = require('child_process')
+const yaml = require('js-yaml')
+const Web3 = require('web3')
+const BigNumber = require('bignumber.js')
+const ValidatorABI = require('../build/contracts/TomoValidator')
+const logger = require('../helpers/logger')
+
+const toWei = (tomo) => new BigNumber(tomo).times(10 ** 18).toString(10)
+
+// Amounts are in TOMO, delays in blocks, accounts are indexes of the devnet accounts or addresses
+const defaults = {
+    // the local network of truffle.js
+    rpc: 'http://localhost:8545',
+    mnemonic: 'candy maple cake sugar pudding cream honey rich smooth crumble sweet treat',
+    accounts: 20,
+    balance: 1000000,
+    networkId: 1337,
+    gas: 4000000,
+    contract: {
+        minCandidateCap: 50000,
+        minVoterCap: 10,
+        maxValidatorNumber: 150,
+        candidateWithdrawDelay: 10,
+        voterWithdrawDelay: 10
+    },
+    candidates: [],
+    votes: [],
+    unvotes: [],
+    resigns: [],
+    mine: 0,
+    withdraws: []
+}
+
+function load (file) {
+    const scenario = yaml.safeLoad(fs.readFileSync(file, 'utf8')) || {}
+    return Object.assign({}, defaults, scenario, {
+        contract: Object.assign({}, defaults.contract, scenario.contract)
+    })
+}
+
+function startGanache (scenario) {
+    // required here, ganache is a dev dependency
+    const ganache = require('ganache-cli')
+    const server = ganache.server({
+        mnemonic: scenario.mnemonic,
+        total_accounts: scenario.accounts,
+        default_balance_ether: scenario.balance,
+        network_id: scenario.networkId,
+        gasLimit: 8000000,
+        logger: { log: () => {} }
+    })
+    return new Promise((resolve, reject) => {
+        server.listen(parseInt(url.parse(scenario.rpc).port), (error) => error ? reject(error) : resolve(server))
+    })
+}
+
+async function mine (web3, blocks) {
+    for (let i = 0; i < blocks; i++) {
+        await new Promise((resolve, reject) => {
+            web3.currentProvider.send({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: Date.now() },
+                (error) => error ? reject(error) : resolve())
+        })
+    }
+}
+
+// { count, owner, from, cap } proposes count candidates from the account index from
+function expandCandidates (candidates) {
+    return [].concat(...candidates.map(c => {
+        if (!c.count) {
+            return [ c ]
+        }
+        return Array.from({ length: c.count }, (v, i) => Object.assign({}, c, {
+            candidate: c.from + i,
+            name: c.name ? `${c.name} ${i + 1}` : undefined
+        }))
+    }))
+}
+
+async function run (scenario, options) {
+    const server = options.ganache ? await startGanache(scenario) : null
+    const web3 = new Web3(new Web3.providers.HttpProvider(scenario.rpc))
+    const accounts = (await web3.eth.getAccounts()).map(a => a.toLowerCase())
+    const account = (a) => typeof a === 'number' ? accounts[a] : String(a).toLowerCase()
+    let failures = 0
+
+    let validator
+    if (scenario.validatorAddress) {
+        validator = new web3.eth.Contract(ValidatorABI.abi, scenario.validatorAddress)
+    } else {
+        const contract = scenario.contract
+        validator = await new web3.eth.Contract(ValidatorABI.abi).deploy({
+            data: ValidatorABI.bytecode,
+            arguments: [ [], [], accounts[0], toWei(contract.minCandidateCap), toWei(contract.minVoterCap),
+                contract.maxValidatorNumber, contract.candidateWithdrawDelay, contract.voterWithdrawDelay ]
+        }).send({ from: accounts[0], gas: 6000000 })
+        logger.info('Deployed TomoValidator at %s', validator.options.address)
+    }
+
+    const step = async (name, items, fn) => {
+        for (const item of items) {
+            try {
+                await fn(item)
+                logger.info('%s %j', name, item)
+            } catch (e) {
+                failures++
+                logger.error('%s %j failed %s', name, item, e.message)
+            }
+        }
+    }
+
+    await step('propose', expandCandidates(scenario.candidates), (c) => {
+        return validator.methods.propose(account(c.candidate)).send({
+            from: account(c.owner),
+            value: toWei(c.cap || scenario.contract.minCandidateCap),
+            gas: scenario.gas
+        })
+    })
+    await step('vote', scenario.votes, (v) => {
+        return validator.methods.vote(account(v.candidate)).send({
+            from: account(v.voter),
+            value: toWei(v.amount),
+            gas: scenario.gas
+        })
+    })
+    await step('unvote', scenario.unvotes, (v) => {
+        return validator.methods.unvote(account(v.candidate), toWei(v.amount)).send({
+            from: account(v.voter),
+            gas: scenario.gas
+        })
+    })
+    await step('resign', scenario.resigns, (r) => {
+        return validator.methods.resign(account(r.candidate)).send({
+            from: account(r.owner),
+            gas: scenario.gas
+        })
+    })
+    await mine(web3, scenario.mine)
+
+    // every unlocked cap of the address
+    await step('withdraw', scenario.withdraws, async (w) => {
+        const from = account(w.address)
+        const blockNumber = await web3.eth.getBlockNumber()
+        const blockNumbers = await validator.methods.getWithdrawBlockNumbers().call({ from })
+        for (let index = 0; index < blockNumbers.length; index++) {
+            const b = parseInt(blockNumbers[index])
+            if (b > 0 && b <= blockNumber) {
+                await validator.methods.withdraw(b, index).send({ from, gas: scenario.gas })
+            }
+        }
+    })
+
+    // settings of the server and the crawler for the devnet
+    const ws = scenario.rpc.replace(/^http/, 'ws')
+    const nodeConfig = {
+        blockchain: {
+            rpc: scenario.rpc,
+            ws,
+            internalRpc: scenario.rpc,
+            internalWs: ws,
+            networkId: scenario.networkId,
+            validatorAddress: validator.options.address.toLowerCase()
+        }
+    }
+    logger.info('Scenario done with %s failures, run the server with NODE_CONFIG=\'%s\'',
+        failures, JSON.stringify(nodeConfig))
+
+    if (options.crawl) {
+        const crawler = fork(path.join(__dirname, '../crawl.js'), [], {
+            env: Object.assign({}, process.env, { NODE_CONFIG: JSON.stringify(nodeConfig) })
+        })
+        crawler.on('exit', (code) => {
+            if (server) {
+                server.close()
+            }
+            process.exit(code)
+        })
+    } else if (server) {
+        logger.info('Devnet is running at %s, press Ctrl-C to stop', scenario.rpc)
+    }
+    return failures
+}
+
+module.exports = { load, run }
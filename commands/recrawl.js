@@ -3,7 +3,7 @@
 const Validator = require('../models/blockchain/validator')
 const Web3Ws = require('../models/blockchain/web3ws').Web3Ws
 // const web3Rpc = require('../models/blockchain/web3rpc')
-const config = require('config')
+const config = require('../helpers/network').config
 const db = require('../models/mongodb')
 const BigNumber = require('bignumber.js')
 const moment = require('moment')
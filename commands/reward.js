@@ -0,0 +1,175 @@
+'use strict'
+
+const web3Rpc = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const config = require('../helpers/network').config
+const moment = require('moment')
+const axios = require('axios')
+const urljoin = require('url-join')
+const BigNumber = require('bignumber.js')
+const logger = require('../helpers/logger')
+const db = require('../models/mongodb')
+const { getSignCursor, isRecorded } = require('../helpers/signing')
+const RewardSplit = require('../helpers/rewardSplit')
+
+// Rewards of an epoch are paid at the checkpoint after the next one,
+// split between owner, voters and foundation in proportion to the signed blocks.
+// Throws while the signs of the epoch are not all recorded, epochs before the
+// recorded range are skipped
+async function updateRewards (epoch) {
+    try {
+        const epochBlocks = parseInt(config.get('blockchain.epoch'))
+        const mergeSignRange = parseInt(config.get('blockchain.mergeSignRange'))
+        const startBlock = (epoch - 1) * epochBlocks + 1
+        const endBlock = epoch * epochBlocks
+        const checkpoint = endBlock + epochBlocks
+        // bulkWrite skips the model middlewares which set the network
+        const networkId = parseInt(config.get('blockchain.networkId'))
+
+        // the signs of the last blocks are mined in the next epoch
+        if (!await isRecorded(startBlock, checkpoint)) {
+            const cursor = await getSignCursor()
+            if (cursor && cursor.startBlock > startBlock) {
+                logger.warn('Signs of epoch %s are not recorded, skip rewards', epoch)
+                return []
+            }
+            throw Error(`Signs of epoch ${epoch} are not recorded yet`)
+        }
+
+        const masternodes = (await db.Status.find({
+            epoch: epoch,
+            status: 'MASTERNODE'
+        }).lean().exec()).map(s => s.candidate.toLowerCase())
+
+        const signs = await db.EpochSign.find({
+            epoch: epoch,
+            signer: { $in: masternodes }
+        }).lean().exec()
+
+        let totalSignNumber = 0
+        const signNumbers = {}
+        signs.forEach(s => {
+            signNumbers[s.signer] = s.blocks.filter(b => b % mergeSignRange === 0).length
+            totalSignNumber += signNumbers[s.signer]
+        })
+        if (totalSignNumber === 0) {
+            logger.info('No signed blocks for epoch %s, skip rewards', epoch)
+            return []
+        }
+
+        const blk = await web3Rpc.eth.getBlock(checkpoint)
+        const rewardTime = moment.unix(blk.timestamp).utc()
+        const totalReward = new BigNumber(config.get('blockchain.reward'))
+        const foundation = config.get('blockchain.foundationAddress').toLowerCase()
+        const rates = {
+            masternode: config.get('blockchain.masternodeRewardRate'),
+            voter: config.get('blockchain.voterRewardRate'),
+            foundation: config.get('blockchain.foundationRewardRate')
+        }
+        const rows = []
+
+        await Promise.all(Object.keys(signNumbers).map(async (candidate) => {
+            const signNumber = signNumbers[candidate]
+            if (!signNumber) {
+                return
+            }
+            const mnReward = RewardSplit.masternodeReward(totalReward, signNumber, totalSignNumber)
+            // prefer the capacities snapshotted at the paying checkpoint
+            let c = await db.CandidateSnapshot.findOne({
+                epoch: epoch + 2,
+                candidate: candidate
+            }).lean().exec()
+            let voters = await db.VoterSnapshot.find({
+                epoch: epoch + 2,
+                candidate: candidate,
+                capacityNumber: { $gt: 0 }
+            }).lean().exec()
+            if (!c) {
+                c = await db.Candidate.findOne({
+                    smartContractAddress: config.get('blockchain.validatorAddress'),
+                    candidate: candidate
+                }).lean().exec() || {}
+                voters = await db.Voter.find({
+                    smartContractAddress: config.get('blockchain.validatorAddress'),
+                    candidate: candidate,
+                    capacityNumber: { $gt: 0 }
+                }).lean().exec()
+            }
+
+            const row = {
+                networkId,
+                epoch,
+                startBlock,
+                endBlock,
+                validator: candidate,
+                signNumber,
+                totalSignNumber,
+                rewardTime
+            }
+            RewardSplit.split(mnReward, rates, c, voters, foundation).forEach(r => {
+                rows.push(Object.assign({}, row, r))
+            })
+        }))
+
+        if (rows.length > 0) {
+            await db.Reward.bulkWrite(rows.map(r => ({
+                updateOne: {
+                    filter: {
+                        networkId,
+                        epoch: r.epoch,
+                        validator: r.validator,
+                        address: r.address,
+                        reason: r.reason
+                    },
+                    update: { $set: r },
+                    upsert: true
+                }
+            })))
+        }
+        logger.info('Update %s rewards for epoch %s', rows.length, epoch)
+
+        if (config.get('tomoscanCrossCheck')) {
+            await crossCheck(epoch, totalSignNumber)
+        }
+        return rows
+    } catch (error) {
+        logger.error('update rewards %s', error)
+        throw error
+    }
+}
+
+// Compare the computed sign number with TomoScan, only logs on mismatch
+async function crossCheck (epoch, totalSignNumber) {
+    try {
+        const { data } = await axios.post(
+            urljoin(config.get('tomoscanUrl'), `api/expose/totalSignNumber/${epoch}`)
+        )
+        if (data && data.totalSignNumber && parseInt(data.totalSignNumber) !== totalSignNumber) {
+            logger.warn('Epoch %s total sign number %s does not match TomoScan %s',
+                epoch, totalSignNumber, data.totalSignNumber)
+        }
+    } catch (error) {
+        logger.warn('TomoScan cross check epoch %s %s', epoch, error)
+    }
+}
+
+async function run (fromEpoch, toEpoch) {
+    try {
+        if (!fromEpoch) {
+            throw Error('fromEpoch(-f) required, toEpoch(-t) optional')
+        }
+        if (!toEpoch) {
+            const latestBlockNumber = await web3Rpc.eth.getBlockNumber()
+            // the latest epoch which has been paid
+            toEpoch = parseInt(latestBlockNumber / config.get('blockchain.epoch')) - 1
+        }
+        for (let i = fromEpoch; i <= toEpoch; i++) {
+            // errors are logged, the next epochs are computed
+            await updateRewards(i).catch(() => null)
+        }
+        logger.info('Done')
+    } catch (error) {
+        logger.error(error)
+    }
+}
+
+module.exports = { updateRewards, run }
@@ -0,0 +1,76 @@
+'use strict'
+
+const config = require('../helpers/network').config
+const logger = require('../helpers/logger')
+const db = require('../models/mongodb')
+const { getSigningStats, signEpoch } = require('../helpers/signing')
+
+// Flag masternodes whose signing in the current epoch may put them in the next penalty list,
+// a masternode which has not signed any block of the epoch at the checkpoint is penalized.
+// Only the sign slots the crawler recorded are judged, a masternode is not checked while slots
+// of the epoch have no data, e.g. after a restart. Returns the masternodes which just became at risk
+async function detectAtRisk (latestBlock) {
+    try {
+        const epochBlocks = parseInt(config.get('blockchain.epoch'))
+        const mergeSignRange = parseInt(config.get('blockchain.mergeSignRange'))
+        const maxMissed = parseInt(config.get('blockchain.atRiskMissedStreak'))
+        const epoch = signEpoch(latestBlock, epochBlocks)
+
+        // slashed, resigned or out of top nodes are not at risk anymore
+        await db.Candidate.updateMany({
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            status: { $ne: 'MASTERNODE' },
+            atRisk: true
+        }, { $set: { atRisk: false, atRiskReason: '' } })
+
+        const [ candidates, penalties ] = await Promise.all([
+            db.Candidate.find({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                status: 'MASTERNODE'
+            }).lean().exec(),
+            // penalized nodes come back after a few epochs
+            db.Penalty.find({ epoch: { $gte: epoch - 4, $lte: epoch } }).lean().exec()
+        ])
+
+        const risky = []
+        await Promise.all(candidates.map(async (c) => {
+            // the previous epoch is included so that a streak can span the checkpoint
+            const stats = await getSigningStats(c.candidate, Math.max(epoch - 1, 1), epoch, latestBlock)
+            const current = stats.items[stats.items.length - 1]
+            if (current.noData > 0) {
+                return
+            }
+            const penalizedEpochs = penalties.filter(p => (p.penalties || []).indexOf(c.candidate) >= 0)
+                .map(p => p.epoch)
+            // less tolerance for recently penalized nodes
+            const limit = penalizedEpochs.length > 0 ? Math.ceil(maxMissed / 2) : maxMissed
+
+            let reason = ''
+            if (current.signed === 0 && current.missed >= limit) {
+                reason = `No signed block in epoch ${epoch} after ${current.missed * mergeSignRange} blocks`
+            } else if (stats.currentMissedStreak >= limit) {
+                reason = `Missed the latest ${stats.currentMissedStreak * mergeSignRange} blocks`
+            }
+            if (reason && penalizedEpochs.length > 0) {
+                reason += `, penalized in epoch ${penalizedEpochs.join(', ')}`
+            }
+
+            const atRisk = reason !== ''
+            if (atRisk !== !!c.atRisk || reason !== (c.atRiskReason || '')) {
+                const update = { atRisk, atRiskReason: reason }
+                if (atRisk && !c.atRisk) {
+                    update.atRiskBlock = latestBlock
+                    risky.push(Object.assign({}, c, update))
+                    logger.info('Masternode %s is at risk: %s', c.candidate, reason)
+                }
+                await db.Candidate.updateOne({ _id: c._id }, { $set: update })
+            }
+        }))
+        return risky
+    } catch (error) {
+        logger.error('detect at risk %s', error)
+        return []
+    }
+}
+
+module.exports = { detectAtRisk }
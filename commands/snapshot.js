@@ -0,0 +1,104 @@
+'use strict'
+
+const Validator = require('../models/blockchain/validator')
+const config = require('../helpers/network').config
+const BigNumber = require('bignumber.js')
+const web3Rpc = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const logger = require('../helpers/logger')
+const db = require('../models/mongodb')
+const validator = new Validator(web3Rpc)
+
+// Snapshot candidate and voter capacities from the contract state at the checkpoint
+// which starts the epoch, historical epochs require an archive node
+async function snapshotEpoch (epoch) {
+    try {
+        const checkpoint = (epoch - 1) * parseInt(config.get('blockchain.epoch'))
+        // bulkWrite skips the model middlewares which set the network
+        const networkId = parseInt(config.get('blockchain.networkId'))
+        const candidates = await validator.methods.getCandidates().call({}, checkpoint)
+        const candidateRows = []
+        const voterRows = []
+
+        await Promise.all(candidates.map(async (candidate) => {
+            candidate = candidate.toLowerCase()
+            const capacity = new BigNumber(
+                await validator.methods.getCandidateCap(candidate).call({}, checkpoint))
+            // resigned candidates
+            if (capacity.isZero()) {
+                return
+            }
+            const owner = await validator.methods.getCandidateOwner(candidate).call({}, checkpoint)
+            candidateRows.push({
+                networkId,
+                epoch,
+                blockNumber: checkpoint,
+                candidate,
+                owner: owner.toLowerCase(),
+                capacity: capacity.toString(10),
+                capacityNumber: capacity.div(1e18).toNumber()
+            })
+
+            const voters = await validator.methods.getVoters(candidate).call({}, checkpoint)
+            await Promise.all([...new Set(voters.map(v => v.toLowerCase()))].map(async (voter) => {
+                const voterCap = new BigNumber(
+                    await validator.methods.getVoterCap(candidate, voter).call({}, checkpoint))
+                if (voterCap.isZero()) {
+                    return
+                }
+                voterRows.push({
+                    networkId,
+                    epoch,
+                    blockNumber: checkpoint,
+                    candidate,
+                    voter,
+                    capacity: voterCap.toString(10),
+                    capacityNumber: voterCap.div(1e18).toNumber()
+                })
+            }))
+        }))
+
+        if (candidateRows.length > 0) {
+            await db.CandidateSnapshot.bulkWrite(candidateRows.map(r => ({
+                updateOne: {
+                    filter: { networkId, epoch: r.epoch, candidate: r.candidate },
+                    update: { $set: r },
+                    upsert: true
+                }
+            })))
+        }
+        if (voterRows.length > 0) {
+            await db.VoterSnapshot.bulkWrite(voterRows.map(r => ({
+                updateOne: {
+                    filter: { networkId, epoch: r.epoch, candidate: r.candidate, voter: r.voter },
+                    update: { $set: r },
+                    upsert: true
+                }
+            })))
+        }
+        logger.info('Snapshot %s candidates and %s voters for epoch %s',
+            candidateRows.length, voterRows.length, epoch)
+    } catch (error) {
+        logger.error('snapshot epoch %s %s', epoch, error)
+        throw error
+    }
+}
+
+async function run (fromEpoch, toEpoch) {
+    try {
+        if (!fromEpoch) {
+            throw Error('fromEpoch(-f) required, toEpoch(-t) optional')
+        }
+        if (!toEpoch) {
+            const latestBlockNumber = await web3Rpc.eth.getBlockNumber()
+            toEpoch = parseInt(latestBlockNumber / config.get('blockchain.epoch')) + 1
+        }
+        for (let i = fromEpoch; i <= toEpoch; i++) {
+            await snapshotEpoch(i)
+        }
+        logger.info('Done')
+    } catch (error) {
+        logger.error(error)
+    }
+}
+
+module.exports = { snapshotEpoch, run }
@@ -1,6 +1,6 @@
 
 const Validator = require('../models/blockchain/validator')
-const config = require('config')
+const config = require('../helpers/network').config
 const moment = require('moment')
 const web3Rpc = require('../models/blockchain/web3rpc').Web3RpcInternal()
 const logger = require('../helpers/logger')
@@ -2,13 +2,13 @@
 
 const Validator = require('../models/blockchain/validator')
 const Web3Ws = require('../models/blockchain/web3ws').Web3Ws
-const config = require('config')
+const config = require('../helpers/network').config
 const db = require('../models/mongodb')
 const moment = require('moment')
 const logger = require('../helpers/logger')
 
-var web3 = new Web3Ws()
-var validator = new Validator(web3)
+const web3 = new Web3Ws()
+const validator = new Validator(web3)
 
 async function watchValidator (from, to) {
     try {
@@ -53,14 +53,10 @@ async function watchValidator (from, to) {
             return Promise.all(map)
         }).catch(e => {
             logger.error('watchValidator %s', e)
-            web3 = new Web3Ws()
-            validator = new Validator(web3)
             return watchValidator(from, to)
         })
     } catch (e) {
         logger.error('watchValidator2 %s', e)
-        web3 = new Web3Ws()
-        validator = new Validator(web3)
         return watchValidator(from, to)
     }
 }
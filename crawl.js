@@ -1,169 +1,334 @@
 'use strict'
 
 const Validator = require('./models/blockchain/validator')
-const Web3Ws = require('./models/blockchain/web3ws').Web3WsInternal
+const web3 = require('./models/blockchain/web3ws').Web3WsInternal()
 const web3Rpc = require('./models/blockchain/web3rpc').Web3RpcInternal()
-const config = require('config')
+const Network = require('./helpers/network')
+const config = Network.config
 const db = require('./models/mongodb')
 const BigNumber = require('bignumber.js')
 const moment = require('moment')
 const logger = require('./helpers/logger')
-const axios = require('axios')
 const _ = require('lodash')
 const TwitterHelper = require('./helpers/twitter')
+const WebhookHelper = require('./helpers/webhook')
+const ClaimHelper = require('./helpers/claim')
+const TxTracker = require('./helpers/txTracker')
+const Heartbeat = require('./helpers/heartbeat')
+const Metrics = require('./helpers/metrics')
+const ChainReader = require('./helpers/chainReader')
+const Notifier = require('./helpers/notifier')
+const PubSub = require('./helpers/pubsub')
+const Signing = require('./helpers/signing')
+const { detectAtRisk } = require('./commands/risk')
+const { updateRewards } = require('./commands/reward')
+const { snapshotEpoch } = require('./commands/snapshot')
 
 process.setMaxListeners(100)
 
-let web3 = new Web3Ws()
-let validator = new Validator(web3)
-let cpValidator = 0
+// the providers fail over and reconnect by themselves, see helpers/providerPool
+const validator = new Validator(web3)
+// number of blocks an event must be buried under before it is indexed
+const confirmations = parseInt(config.get('blockchain.confirmations') || 0)
+// number of processed block hashes kept in the cursor to find a reorg ancestor
+const reorgHistory = 50
 
 let tweetedMN = ''
+// label of the metrics, a crawler follows one network
+const network = Network.current().name
+
+async function getCursor () {
+    const cursor = await db.CrawlCursor.findOne({
+        networkId: config.get('blockchain.networkId'),
+        smartContractAddress: config.get('blockchain.validatorAddress')
+    }).lean().exec()
+    if (cursor) {
+        return cursor
+    }
+    // no cursor yet, resume from the newest indexed transaction
+    const lastBlockTx = await db.Transaction.findOne({
+        smartContractAddress: config.get('blockchain.validatorAddress')
+    }).sort({ blockNumber: -1 })
+    const lb = (lastBlockTx && lastBlockTx.blockNumber) ? lastBlockTx.blockNumber : 0
+    return {
+        blockNumber: Math.max(lb - 1, -1),
+        recentBlocks: []
+    }
+}
+
+async function saveCursor (blockNumber, blockHash, recentBlocks) {
+    return db.CrawlCursor.findOneAndUpdate({
+        networkId: config.get('blockchain.networkId'),
+        smartContractAddress: config.get('blockchain.validatorAddress')
+    }, {
+        $set: {
+            networkId: config.get('blockchain.networkId'),
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            blockNumber: blockNumber,
+            blockHash: blockHash,
+            recentBlocks: recentBlocks.slice(-reorgHistory)
+        }
+    }, { upsert: true, new: true }).lean().exec()
+}
 
-async function watchValidator () {
-    var blockNumber = cpValidator || await web3.eth.getBlockNumber()
+// Walk back the stored hashes until one still matches the canonical chain
+async function findCommonAncestor (cursor) {
+    const recentBlocks = (cursor.recentBlocks || []).slice().reverse()
+    for (let b of recentBlocks) {
+        const blk = await web3.eth.getBlock(b.blockNumber)
+        if (blk && blk.hash === b.blockHash) {
+            return b
+        }
+    }
+    return null
+}
+
+// Remove everything indexed after blockNumber and re-derive the touched
+// voters and candidates from the contract state
+async function rollbackValidatorEvents (blockNumber) {
+    const txs = await db.Transaction.find({
+        smartContractAddress: config.get('blockchain.validatorAddress'),
+        blockNumber: { $gt: blockNumber }
+    }).lean().exec()
+    const hashes = txs.map(t => t.tx)
+
+    await db.Withdraw.deleteMany({
+        smartContractAddress: config.get('blockchain.validatorAddress'),
+        tx: { $in: hashes }
+    })
+    await db.WithdrawNoti.deleteMany({
+        blockNumber: { $gt: blockNumber }
+    })
+    await db.Notification.deleteMany({
+        event: { $in: ['Propose', 'Resign'] },
+        blockNumber: { $gt: blockNumber }
+    })
+    await db.Transaction.deleteMany({
+        smartContractAddress: config.get('blockchain.validatorAddress'),
+        tx: { $in: hashes }
+    })
+    // a Propose writes the candidate status of its epoch, the checkpoints write the other ones
+    const epochBlocks = parseInt(config.get('blockchain.epoch'))
+    await Promise.all(txs.filter(t => t.event === 'Propose').map(t => db.Status.deleteOne({
+        epoch: Signing.checkpointEpoch(t.blockNumber, epochBlocks),
+        candidate: t.candidate,
+        status: 'PROPOSED'
+    })))
+
+    const voters = _.uniqBy(txs.filter(t => t.candidate && t.voter), t => t.candidate + t.voter)
+    const caps = await ChainReader.callValidator(voters.map(t => ({
+        method: 'getVoterCap', params: [t.candidate, t.voter]
+    })))
+    await Promise.all(voters.map((t, i) => updateVoterCap(t.candidate, t.voter, caps[i])))
+    const candidates = _.uniq(txs.filter(t => t.candidate).map(t => t.candidate))
+    const infos = await readCandidates(candidates)
+    await Promise.all(candidates.map((c, i) => updateCandidateInfo(c, infos[i])))
+    logger.info('Rolled back %s transactions after block %s', txs.length, blockNumber)
+}
+
+async function watchValidator (silent = false) {
     try {
-        blockNumber = blockNumber || await web3.eth.getBlockNumber()
-        logger.info('TomoValidator %s - Listen events from block number %s ...',
-            config.get('blockchain.validatorAddress'), blockNumber)
-
-        cpValidator = await web3.eth.getBlockNumber()
-        return validator.getPastEvents('allEvents', {
-            fromBlock: blockNumber,
-            toBlock: 'latest'
-        }).then(async events => {
-            let map = events.map(async (event) => {
-                let result = event
-                logger.debug('Event %s in block %s', result.event, result.blockNumber)
-                let candidate = (result.returnValues._candidate || '').toLowerCase()
-                let voter = (result.returnValues._voter || '').toLowerCase()
-                let owner = (result.returnValues._owner || '').toLowerCase()
-                let capacity = result.returnValues._cap
-                let blk = await web3.eth.getBlock(result.blockNumber)
-                let createdAt = moment.unix(blk.timestamp).utc()
-                if (!voter && (event.event === 'Resign' ||
-                    event.event === 'Withdraw' || event.event === 'Propose')) {
-                    voter = owner
-                }
-                if (result.event === 'Withdraw') {
-                    let capacity = result.returnValues._cap
-                    await db.Withdraw.findOneAndUpdate({
-                        tx: result.transactionHash
-                    }, {
-                        $set: {
-                            smartContractAddress: config.get('blockchain.validatorAddress'),
-                            blockNumber: result.blockNumber,
-                            tx: result.transactionHash,
-                            owner: owner,
-                            capacity: capacity
-                        }
-                    }, { upsert: true })
-                }
-                if (result.event === 'Propose') {
-                    const block = result.blockNumber
-                    const lastCheckpoint = block - (block % parseInt(config.get('blockchain.epoch')))
-                    const currentEpoch = parseInt(lastCheckpoint / config.get('blockchain.epoch')) + 1
-                    await db.Status.findOneAndUpdate({ epoch: currentEpoch, candidate: candidate }, {
-                        epoch: currentEpoch,
-                        candidate: candidate,
-                        status: 'PROPOSED',
-                        epochCreatedAt: createdAt
-                    }, { upsert: true })
-                    // Tweet new candidate
-                    if (tweetedMN !== candidate) {
-                        tweetedMN = candidate
-                        await TwitterHelper.tweetNewMN(
-                            voter,
-                            candidate,
-                            (new BigNumber(capacity)).div(1e18).toString(10),
-                            result.transactionHash)
-                    }
-                }
+        let cursor = await getCursor()
+
+        // reorg check, the last processed block must still be on the canonical chain
+        if (cursor.blockHash) {
+            const blk = await web3.eth.getBlock(cursor.blockNumber)
+            if (!blk || blk.hash !== cursor.blockHash) {
+                const ancestor = await findCommonAncestor(cursor)
+                const recentBlocks = cursor.recentBlocks || []
+                const ancestorNumber = ancestor
+                    ? ancestor.blockNumber
+                    : Math.max((recentBlocks.length ? recentBlocks[0].blockNumber : cursor.blockNumber) -
+                        confirmations, 0)
+                logger.warn('Chain reorg detected at block %s, rolling back to block %s',
+                    cursor.blockNumber, ancestorNumber)
+                await rollbackValidatorEvents(ancestorNumber)
+                cursor = await saveCursor(ancestorNumber, ancestor ? ancestor.blockHash : null,
+                    recentBlocks.filter(b => b.blockNumber <= ancestorNumber))
+            }
+        }
 
-                // get balance
-                let candidateCap = 0
-                if (candidate) {
-                    candidateCap = await validator.methods.getCandidateCap(candidate).call()
-                }
-                await db.Transaction.findOneAndUpdate({
-                    tx: result.transactionHash
-                }, {
-                    $set: {
-                        smartContractAddress: config.get('blockchain.validatorAddress'),
-                        tx: result.transactionHash,
-                        event: result.event,
-                        voter: voter,
-                        owner: owner,
-                        candidate: candidate,
-                        capacity: capacity,
-                        blockNumber: result.blockNumber,
-                        createdAt: createdAt,
-                        currentCandidateCap: new BigNumber(candidateCap)
-                    }
-                }, {
-                    upsert: true
-                })
-                if (result.event === 'Vote' || result.event === 'Unvote') {
-                    await updateVoterCap(candidate, voter)
-                    if (result.event === 'Unvote') {
-                        // store withdraw for notification
-                        await db.WithdrawNoti.findOneAndUpdate({
-                            voter: voter,
-                            blockNumber: result.blockNumber,
-                            candidate: candidate
-                        }, {
-                            $set: {
-                                voter: voter,
-                                blockNumber: result.blockNumber,
-                                amount: (new BigNumber(capacity)).div(1e18).toString(10),
-                                withdrawBlockNumber: result.blockNumber + 86400 // 86400 blocks later
-                            }
-                        }, { upsert: true })
-                    }
-                }
-                if (result.event === 'Resign' || result.event === 'Propose') {
-                    await updateVoterCap(candidate, owner)
-                    // fire notification
-                    const voters = await db.Voter.find({
-                        candidate: candidate,
-                        smartContractAddress: config.get('blockchain.validatorAddress'),
-                        capacityNumber: { $gt: 0 }
-                    })
-                    if (voters && voters.length > 0) {
-                        const candidateInfor = await db.Candidate.findOne({
-                            smartContractAddress: config.get('blockchain.validatorAddress'),
-                            candidate: candidate.toLowerCase()
-                        })
-                        const candidateName = candidateInfor ? candidateInfor.name || null : null
-                        await Promise.all(voters.map(async (v) => {
-                            await fireNotification(v.voter, candidate,
-                                candidateName, result.event, result.blockNumber)
-                        }))
-                    }
-                }
-                if (candidate !== '') {
-                    await updateCandidateInfo(candidate)
-                }
-            })
+        const fromBlock = cursor.blockNumber + 1
+        const head = await web3.eth.getBlockNumber()
+        const toBlock = head - confirmations
+        Metrics.crawlerLag.set({ network, task: 'events' }, head - cursor.blockNumber)
+        if (toBlock < fromBlock) {
+            return Heartbeat.beat('events', { blockNumber: cursor.blockNumber })
+        }
+        logger.info('TomoValidator %s - Listen events from block number %s to %s ...',
+            config.get('blockchain.validatorAddress'), fromBlock, toBlock)
 
-            return Promise.all(map)
-        }).catch(e => {
-            logger.error('watchValidator %s', e)
-            cpValidator = blockNumber
-            web3 = new Web3Ws()
-            validator = new Validator(web3)
+        const events = await validator.getPastEvents('allEvents', {
+            fromBlock: fromBlock,
+            toBlock: toBlock
         })
+        // in chain order, the events of a voter build on each other
+        const ordered = _.sortBy(events, ['blockNumber', 'logIndex'])
+        for (const event of ordered) {
+            await processValidatorEvent(event, silent)
+        }
+
+        const blk = await web3.eth.getBlock(toBlock)
+        const recentBlocks = (cursor.recentBlocks || []).concat({
+            blockNumber: blk.number,
+            blockHash: blk.hash
+        })
+        await saveCursor(blk.number, blk.hash, recentBlocks)
+        await Heartbeat.beat('events', { blockNumber: blk.number })
     } catch (e) {
-        logger.error('watchValidator2 %s', e)
-        cpValidator = blockNumber
+        logger.error('watchValidator %s', e)
+        await Heartbeat.fail('events', e)
+    }
+}
+
+async function processValidatorEvent (event, silent) {
+    let result = event
+    logger.debug('Event %s in block %s', result.event, result.blockNumber)
+    Metrics.crawlerEvents.inc({ network, event: result.event })
+    let candidate = (result.returnValues._candidate || '').toLowerCase()
+    let voter = (result.returnValues._voter || '').toLowerCase()
+    let owner = (result.returnValues._owner || '').toLowerCase()
+    let capacity = result.returnValues._cap
+    let blk = await web3.eth.getBlock(result.blockNumber)
+    let createdAt = moment.unix(blk.timestamp).utc()
+    if (!voter && (event.event === 'Resign' ||
+        event.event === 'Withdraw' || event.event === 'Propose')) {
+        voter = owner
+    }
+    if (result.event === 'Withdraw') {
+        let capacity = result.returnValues._cap
+        await db.Withdraw.findOneAndUpdate({
+            tx: result.transactionHash
+        }, {
+            $set: {
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                blockNumber: result.blockNumber,
+                blockHash: result.blockHash,
+                tx: result.transactionHash,
+                owner: owner,
+                capacity: capacity
+            }
+        }, { upsert: true })
+    }
+    if (result.event === 'Propose') {
+        const block = result.blockNumber
+        const lastCheckpoint = block - (block % parseInt(config.get('blockchain.epoch')))
+        const currentEpoch = parseInt(lastCheckpoint / config.get('blockchain.epoch')) + 1
+        await db.Status.findOneAndUpdate({ epoch: currentEpoch, candidate: candidate }, {
+            epoch: currentEpoch,
+            candidate: candidate,
+            status: 'PROPOSED',
+            epochCreatedAt: createdAt
+        }, { upsert: true })
+        // Tweet new candidate
+        if (!silent && tweetedMN !== candidate) {
+            tweetedMN = candidate
+            await TwitterHelper.tweetNewMN(
+                voter,
+                candidate,
+                (new BigNumber(capacity)).div(1e18).toString(10),
+                result.transactionHash)
+        }
+    }
+
+    // get balance
+    let candidateCap = 0
+    if (candidate) {
+        candidateCap = await validator.methods.getCandidateCap(candidate).call()
+    }
+    await db.Transaction.findOneAndUpdate({
+        tx: result.transactionHash
+    }, {
+        $set: {
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            tx: result.transactionHash,
+            event: result.event,
+            voter: voter,
+            owner: owner,
+            candidate: candidate,
+            capacity: capacity,
+            blockNumber: result.blockNumber,
+            blockHash: result.blockHash,
+            createdAt: createdAt,
+            currentCandidateCap: new BigNumber(candidateCap)
+        }
+    }, {
+        upsert: true
+    })
+    if (!silent) {
+        await PubSub.publish('transaction', {
+            tx: result.transactionHash,
+            event: result.event,
+            voter,
+            owner,
+            candidate,
+            capacity: String(capacity),
+            blockNumber: result.blockNumber
+        })
+    }
+    if (result.event === 'Vote' || result.event === 'Unvote') {
+        await updateVoterCap(candidate, voter)
+        if (result.event === 'Unvote') {
+            // store withdraw for notification
+            await db.WithdrawNoti.findOneAndUpdate({
+                voter: voter,
+                blockNumber: result.blockNumber,
+                candidate: candidate
+            }, {
+                $set: {
+                    voter: voter,
+                    blockNumber: result.blockNumber,
+                    amount: (new BigNumber(capacity)).div(1e18).toString(10),
+                    withdrawBlockNumber: result.blockNumber + 86400 // 86400 blocks later
+                }
+            }, { upsert: true })
+        }
+    }
+    if (result.event === 'Resign' || result.event === 'Propose') {
+        await updateVoterCap(candidate, owner)
+    }
+    // history replayed from the cursor was already notified
+    if (!silent && (result.event === 'Resign' || result.event === 'Propose')) {
+        const voters = await db.Voter.find({
+            candidate: candidate,
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            capacityNumber: { $gt: 0 }
+        })
+        if (voters && voters.length > 0) {
+            const candidateInfor = await db.Candidate.findOne({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                candidate: candidate.toLowerCase()
+            })
+            const candidateName = candidateInfor ? candidateInfor.name || null : null
+            await Promise.all(voters.map(async (v) => {
+                await fireNotification(v.voter, candidate,
+                    candidateName, result.event, result.blockNumber)
+            }))
+        }
     }
+    if (candidate !== '') {
+        await updateCandidateInfo(candidate)
+    }
+}
+
+// capacity, owner and isCandidate of the candidates in one batch
+async function readCandidates (candidates, blockNumber) {
+    const results = await ChainReader.callValidator([].concat(...candidates.map(c => [
+        { method: 'getCandidateCap', params: [c] },
+        { method: 'getCandidateOwner', params: [c] },
+        { method: 'isCandidate', params: [c] }
+    ])), blockNumber)
+    return _.chunk(results, 3).map(([ capacity, owner, isCandidate ]) => ({ capacity, owner, isCandidate }))
 }
 
-async function updateCandidateInfo (candidate) {
+async function updateCandidateInfo (candidate, info) {
     try {
-        let capacity = await validator.methods.getCandidateCap(candidate).call()
-        let owner = (await validator.methods.getCandidateOwner(candidate).call() || '').toLowerCase()
-        let status = await validator.methods.isCandidate(candidate).call()
+        if (!info) {
+            [ info ] = await readCandidates([ candidate ])
+        }
+        let capacity = info.capacity
+        let owner = (info.owner || '').toLowerCase()
+        let status = info.isCandidate
         let result
         logger.debug('Update candidate %s capacity %s %s', candidate, String(capacity), status)
         if (candidate !== '0x0000000000000000000000000000000000000000') {
@@ -176,22 +341,30 @@ async function updateCandidateInfo (candidate) {
             status = (status)
                 ? ((candateInDB.status === 'RESIGNED') ? 'PROPOSED' : (candateInDB.status || 'PROPOSED'))
                 : 'RESIGNED'
+            const values = {
+                capacity: String(capacity),
+                capacityNumber: (new BigNumber(capacity)).div(1e18).toString(10),
+                status: status,
+                owner: owner
+            }
             result = await db.Candidate.findOneAndUpdate({
                 smartContractAddress: config.get('blockchain.validatorAddress'),
                 candidate: candidate
             }, {
-                $set: {
+                $set: Object.assign({
                     smartContractAddress: config.get('blockchain.validatorAddress'),
-                    candidate: candidate,
-                    capacity: String(capacity),
-                    capacityNumber: (new BigNumber(capacity)).div(1e18).toString(10),
-                    status: status,
-                    owner: owner
-                },
+                    candidate: candidate
+                }, values),
                 $setOnInsert: {
                     nodeId: candidate.replace('0x', '')
                 }
             }, { upsert: true })
+            // the clients are told about the changes only, not on every sync. capacityNumber is
+            // stored as a Number, capacity holds the exact value
+            const changed = ['capacity', 'status', 'owner'].some(k => String(candateInDB[k]) !== values[k])
+            if (changed) {
+                await PubSub.publish('candidate', Object.assign({ candidate }, values))
+            }
         } else {
             result = await db.Candidate.deleteOne({
                 smartContractAddress: validator.address,
@@ -205,9 +378,11 @@ async function updateCandidateInfo (candidate) {
     }
 }
 
-async function updateVoterCap (candidate, voter) {
+async function updateVoterCap (candidate, voter, capacity) {
     try {
-        let capacity = await validator.methods.getVoterCap(candidate, voter).call()
+        if (capacity === undefined) {
+            [ capacity ] = await ChainReader.callValidator([{ method: 'getVoterCap', params: [candidate, voter] }])
+        }
         logger.debug('Update voter %s for candidate %s capacity %s', voter, candidate, String(capacity))
         return await db.Voter.findOneAndUpdate({
             smartContractAddress: config.get('blockchain.validatorAddress'),
@@ -230,7 +405,9 @@ async function updateVoterCap (candidate, voter) {
 // Get current candates
 async function getCurrentCandidates () {
     try {
-        let candidates = await validator.methods.getCandidates().call()
+        // every read is done at the same block, in batches
+        const blockNumber = await web3Rpc.eth.getBlockNumber()
+        let [ candidates ] = await ChainReader.callValidator([{ method: 'getCandidates' }], blockNumber)
         let candidatesInDb = await db.Candidate.find({
             smartContractAddress: config.get('blockchain.validatorAddress')
         }).lean().exec()
@@ -239,18 +416,22 @@ async function getCurrentCandidates () {
             return it.toLowerCase()
         })
 
-        let map = candidates.map(async (candidate) => {
-            candidate = (candidate || '').toLowerCase()
-            let voters = await validator.methods.getVoters(candidate).call()
-            let m = voters.map(v => {
-                v = (v || '').toLowerCase()
-                return updateVoterCap(candidate, v)
-            })
-
-            await Promise.all(m)
-            return updateCandidateInfo(candidate)
-        })
-        return Promise.all(map).catch(e => logger.error('getCurrentCandidates %s', e))
+        candidates = candidates.map(c => (c || '').toLowerCase())
+        logger.info('Sync %s candidates at block %s', candidates.length, blockNumber)
+
+        const voters = await ChainReader.callValidator(candidates.map(c => ({
+            method: 'getVoters', params: [c]
+        })), blockNumber)
+        const pairs = [].concat(...candidates.map((c, i) => _.uniq(voters[i].map(v => (v || '').toLowerCase()))
+            .map(v => ({ candidate: c, voter: v }))))
+        const caps = await ChainReader.callValidator(pairs.map(p => ({
+            method: 'getVoterCap', params: [p.candidate, p.voter]
+        })), blockNumber)
+        await Promise.all(pairs.map((p, i) => updateVoterCap(p.candidate, p.voter, caps[i])))
+
+        const infos = await readCandidates(candidates, blockNumber)
+        return Promise.all(candidates.map((c, i) => updateCandidateInfo(c, infos[i])))
+            .catch(e => logger.error('getCurrentCandidates %s', e))
     } catch (e) {
         logger.error('getCurrentCandidates2 %s', e)
     }
@@ -260,7 +441,8 @@ async function updateSignerPenAndStatus () {
     try {
         const latestBlockNumber = await web3.eth.getBlockNumber()
         const latestCheckpoint = latestBlockNumber - (latestBlockNumber % parseInt(config.get('blockchain.epoch')))
-        const currentEpoch = (parseInt(latestCheckpoint / config.get('blockchain.epoch')) + 1).toString()
+        const currentEpoch = Signing.checkpointEpoch(latestCheckpoint,
+            parseInt(config.get('blockchain.epoch'))).toString()
         const blk = await web3.eth.getBlock(latestCheckpoint)
         const signers = []
         const penalties = []
@@ -272,17 +454,10 @@ async function updateSignerPenAndStatus () {
             }
         })
         // loop and get status
-        await Promise.all(candidates.map(async (c) => {
-            const data = {
-                'jsonrpc': '2.0',
-                'method': 'eth_getCandidateStatus',
-                'params': [c.candidate.toLowerCase(), 'latest'],
-                'id': config.get('blockchain.networkId')
-            }
-            const response = await axios.post(config.get('blockchain.rpc'), data)
-
-            if (response.data) {
-                const result = (response.data.result || {}).status
+        const statuses = await ChainReader.getCandidateStatuses(candidates.map(c => c.candidate.toLowerCase()))
+        await Promise.all(candidates.map(async (c, i) => {
+            const result = statuses[i]
+            if (result) {
                 switch (result) {
                 case 'MASTERNODE':
                     signers.push(c.candidate)
@@ -356,6 +531,9 @@ async function updateSignerPenAndStatus () {
                 default:
                     break
                 }
+                if (result && result !== c.status) {
+                    await PubSub.publish('candidate', { candidate: c.candidate, status: result })
+                }
             }
         }))
         await db.Signer.findOneAndUpdate({ blockNumber: blk.number }, {
@@ -370,10 +548,10 @@ async function updateSignerPenAndStatus () {
             epoch: currentEpoch,
             penalties: penalties
         }, { upsert: true })
+        await Heartbeat.beat('status', { blockNumber: latestCheckpoint, epoch: parseInt(currentEpoch) })
     } catch (e) {
         logger.error('updateSignerAndPen %s', e)
-        web3 = new Web3Ws()
-        validator = new Validator(web3)
+        await Heartbeat.fail('status', e)
         await sleep(10000)
         return updateSignerPenAndStatus()
     }
@@ -381,44 +559,70 @@ async function updateSignerPenAndStatus () {
 
 let sleep = (time) => new Promise((resolve) => setTimeout(resolve, time))
 async function watchNewBlock (n) {
+    // the task being run, to report the error
+    let task = 'blocks'
     try {
         let blockNumber = await web3.eth.getBlockNumber()
         n = n || blockNumber
+        Metrics.crawlerLag.set({ network, task: 'blocks' }, blockNumber - n)
         if (blockNumber > n) {
             n = n + 1
             blockNumber = n
             logger.info('Watch new block every 1 second blkNumber %s', n)
-            let blk = await web3.eth.getBlock(blockNumber)
-            if (n % config.get('blockchain.epoch') === 10) {
+            // signs of the blocks missed while the crawler was stopped are recorded first
+            task = 'signs'
+            const signCursor = await Signing.recordSigns(n)
+            Metrics.crawlerLag.set({ network, task: 'signs' }, n - signCursor.blockNumber)
+            await Heartbeat.beat('signs', { blockNumber: signCursor.blockNumber })
+
+            // the work of the latest checkpoint starts 10 blocks after it and is retried until
+            // it is done, also after a restart
+            task = 'blocks'
+            const epochBlocks = parseInt(config.get('blockchain.epoch'))
+            const checkpoint = n - ((n - 10) % epochBlocks) - 10
+            const doneCheckpoint = signCursor.checkpoint !== undefined ? signCursor.checkpoint
+                : checkpoint - (n % epochBlocks === 10 ? epochBlocks : 0)
+            if (n >= 10 && checkpoint > doneCheckpoint) {
                 await updateSignerPenAndStatus()
+                // capacities at the checkpoint, voter rewards are split with them
+                task = 'snapshot'
+                await snapshotEpoch(checkpoint / epochBlocks + 1)
+                await Heartbeat.beat('snapshot', { blockNumber: checkpoint, epoch: checkpoint / epochBlocks + 1 })
+                // rewards of the epoch before the previous one are paid at a checkpoint,
+                // the ones of the checkpoints missed while the crawler was stopped too
+                task = 'rewards'
+                for (let c = Math.max(doneCheckpoint + epochBlocks, epochBlocks * 2); c <= checkpoint;
+                    c += epochBlocks) {
+                    await updateRewards(c / epochBlocks - 1)
+                }
+                await Heartbeat.beat('rewards', { blockNumber: checkpoint, epoch: checkpoint / epochBlocks - 1 })
                 // update rank history
+                task = 'rank'
                 {
                     const candidates = await db.Candidate.find({
                         smartContractAddress: config.get('blockchain.validatorAddress'),
                         status: { $nin: ['RESIGNED', 'PROPOSED'] }
                     }).sort({ capacityNumber: -1 })
 
-                    await Promise.all(candidates.map(async (c, i) => {
-                        // update rank hisroty
-                        const latestBlockNumber = await web3.eth.getBlockNumber()
-                        const latestCheckpoint = latestBlockNumber - (
-                            latestBlockNumber % parseInt(config.get('blockchain.epoch')))
-                        const latestEpoch = (parseInt(
-                            latestCheckpoint / config.get('blockchain.epoch'))).toString()
-                        const block = await web3.eth.getBlock(latestCheckpoint)
-
-                        db.Rank.findOneAndUpdate({ candidate: c.candidate, epoch: latestEpoch }, {
-                            epoch: latestEpoch,
+                    // ranks of the checkpoint being processed, the crawler may be behind the chain
+                    const rankEpoch = Signing.rankEpoch(Signing.checkpointEpoch(checkpoint, epochBlocks))
+                    const block = await web3.eth.getBlock(checkpoint)
+                    await Promise.all(candidates.map((c, i) => {
+                        return db.Rank.findOneAndUpdate({ candidate: c.candidate, epoch: rankEpoch }, {
+                            epoch: rankEpoch,
                             candidate: c.candidate,
                             rank: i + 1,
+                            capacity: c.capacity,
+                            capacityNumber: c.capacityNumber,
                             epochCreatedAt: moment.unix(block.timestamp).utc()
-                        }, { upsert: true }).then(() => { return true })
-                            .catch(e => logger.error('update rank history %s', e))
+                        }, { upsert: true })
                     }))
                 }
+                await Signing.saveCheckpoint(checkpoint)
             }
             // update rank after 50 blocks
             if (n % 50 === 0) {
+                task = 'rank'
                 // get candidate's cap
                 const candidates = await db.Candidate.find({
                     smartContractAddress: config.get('blockchain.validatorAddress'),
@@ -468,10 +672,13 @@ async function watchNewBlock (n) {
                         }
                     }, { upsert: true })
                 }))
+                await PubSub.publish('ranks', candidates.map((c, i) => ({ candidate: c.candidate, rank: i + 1 })))
+                await Heartbeat.beat('rank', { blockNumber: n })
             }
 
             // check withdrawal status after 10 blocks
             if (n % 10 === 0) {
+                task = 'withdraw'
                 // get list of unvote
                 const withdrawBlockNumbers = await db.WithdrawNoti.find({
                     withdrawBlockNumber: { $lte: n }
@@ -485,20 +692,27 @@ async function watchNewBlock (n) {
                         })
                     }))
                 }
+                await Heartbeat.beat('withdraw', { blockNumber: n })
+                task = 'risk'
+                await watchAtRisk(n)
+                await Heartbeat.beat('risk', { blockNumber: n })
             }
-            await updateLatestSignedBlock(blk)
+            task = 'blocks'
             await watchValidator()
+            await Heartbeat.beat('blocks', {
+                blockNumber: n,
+                epoch: parseInt(n / config.get('blockchain.epoch')) + 1
+            })
         }
     } catch (e) {
         logger.error('watchNewBlock %s', e)
-        web3 = new Web3Ws()
-        validator = new Validator(web3)
+        await Heartbeat.fail(task, e)
     }
     await sleep(1000)
     return watchNewBlock(n)
 }
 
-async function fireNotification (voter, candidate, name, event, blockNumber, amount = '') {
+async function fireNotification (voter, candidate, name, event, blockNumber, amount = '', reason = '') {
     try {
         const isRead = false
         await db.Notification.findOneAndUpdate({
@@ -511,103 +725,110 @@ async function fireNotification (voter, candidate, name, event, blockNumber, amo
             candidateName: name || 'Anonymous',
             event: event,
             isRead: isRead,
-            amount: amount
+            amount: amount,
+            reason: reason
         }, { upsert: true })
+        await WebhookHelper.enqueue(voter, candidate, name, event, blockNumber, amount, reason)
+        // email and telegram are sent in background
+        Notifier.notify(voter, candidate, name, event, blockNumber, amount, reason)
+        await PubSub.publish('notification', {
+            candidate,
+            candidateName: name || 'Anonymous',
+            event,
+            blockNumber,
+            amount,
+            reason
+        }, voter)
+        Metrics.notifications.inc({ network, event })
         return true
     } catch (error) {
         logger.error('fire notification error %s', error)
     }
 }
 
-function diff (a, b) {
-    return a.filter((i) => {
-        return b.indexOf(i) < 0
-    })
+// warn voters and owner of the masternodes which may be slashed at the next checkpoint
+async function watchAtRisk (blockNumber) {
+    const risky = await detectAtRisk(blockNumber)
+    await Promise.all(risky.map(async (c) => {
+        await PubSub.publish('candidate', {
+            candidate: c.candidate,
+            atRisk: true,
+            atRiskReason: c.atRiskReason
+        })
+        const voters = await db.Voter.find({
+            candidate: c.candidate,
+            smartContractAddress: config.get('blockchain.validatorAddress'),
+            capacityNumber: { $gt: 0 }
+        }).lean().exec()
+        const addresses = _.uniq(voters.map(v => v.voter).concat(c.owner ? [c.owner] : []))
+        await Promise.all(addresses.map(a => {
+            return fireNotification(a, c.candidate, c.name, 'AtRisk', blockNumber, '', c.atRiskReason)
+        }))
+    }))
 }
 
-async function updateLatestSignedBlock (blk) {
+async function watchWebhookDeliveries () {
     try {
-        for (let hash of ((blk || {}).transactions || [])) {
-            let tx = await web3Rpc.eth.getTransaction(hash)
-            if ((tx || {}).to === config.get('blockchain.blockSignerAddress')) {
-                let signer = tx.from
-                let buff = Buffer.from((tx.input || '').substring(2), 'hex')
-                let sbuff = buff.slice(buff.length - 32, buff.length)
-                let bN = ((await web3Rpc.eth.getBlock('0x' + sbuff.toString('hex'))) || {}).number
-                if (!bN) {
-                    logger.debug('Bypass signer %s sign %s', signer, '0x' + sbuff.toString('hex'))
-                    continue
-                }
-                logger.debug('Sign block %s by signer %s', bN, signer)
-                await db.Candidate.findOneAndUpdate({
-                    smartContractAddress: config.get('blockchain.validatorAddress'),
-                    candidate: signer.toLowerCase()
-                }, {
-                    $set: {
-                        latestSignedBlock: bN
-                    }
-                }, { upsert: false })
-            }
+        const processed = await WebhookHelper.processDeliveries()
+        await Heartbeat.beat('webhooks')
+        // keep draining while the queue is full
+        if (processed > 0) {
+            return watchWebhookDeliveries()
         }
     } catch (e) {
-        logger.error('updateLatestSignedBlock %s', e)
+        logger.error('watchWebhookDeliveries %s', e)
+        await Heartbeat.fail('webhooks', e)
     }
+    await sleep(5000)
+    return watchWebhookDeliveries()
 }
 
-async function getPastEvent () {
-    let blockNumber = await web3.eth.getBlockNumber()
-    let lastBlockTx = await db.Transaction.findOne().sort({ blockNumber: -1 })
-    let lb = (lastBlockTx && lastBlockTx.blockNumber) ? lastBlockTx.blockNumber : 0
+async function watchClaims () {
+    try {
+        await ClaimHelper.processClaims()
+        await Heartbeat.beat('claims')
+    } catch (e) {
+        logger.error('watchClaims %s', e)
+        await Heartbeat.fail('claims', e)
+    }
+    await sleep(10 * 60 * 1000)
+    return watchClaims()
+}
 
-    logger.debug('Get all past event from block', lb, 'to block', blockNumber)
-    validator.getPastEvents('allEvents', { fromBlock: lb, toBlock: blockNumber }, async function (error, events) {
-        if (error) {
-            logger.error(error)
-        } else {
-            let map = events.map(async function (event) {
-                if (event.event === 'Withdraw') {
-                    let owner = (event.returnValues._owner || '').toLowerCase()
-                    let blockNumber = event.blockNumber
-                    let capacity = event.returnValues._cap
-                    await db.Withdraw.findOneAndUpdate({ tx: event.transactionHash }, {
-                        smartContractAddress: config.get('blockchain.validatorAddress'),
-                        blockNumber: blockNumber,
-                        tx: event.transactionHash,
-                        owner: owner,
-                        capacity: capacity
-                    }, { upsert: true })
-                }
-                let candidate = (event.returnValues._candidate || '').toLowerCase()
-                let voter = (event.returnValues._voter || '').toLowerCase()
-                let owner = (event.returnValues._owner || '').toLowerCase()
-                if (!voter && (event.event === 'Resign' || event.event === 'Withdraw' || event.event === 'Propose')) {
-                    voter = owner
-                }
-                let capacity = event.returnValues._cap
-                let blk = await web3.eth.getBlock(event.blockNumber)
-                let createdAt = moment.unix(blk.timestamp).utc()
-                await db.Transaction.findOneAndUpdate({ tx: event.transactionHash }, {
-                    smartContractAddress: config.get('blockchain.validatorAddress'),
-                    tx: event.transactionHash,
-                    blockNumber: event.blockNumber,
-                    event: event.event,
-                    voter: voter,
-                    owner: owner,
-                    candidate: candidate,
-                    capacity: capacity,
-                    createdAt: createdAt
-                }, { upsert: true })
-            })
-            return Promise.all(map)
-        }
+async function watchTransactions () {
+    try {
+        await TxTracker.processTransactions()
+        await Heartbeat.beat('transactions')
+    } catch (e) {
+        logger.error('watchTransactions %s', e)
+        await Heartbeat.fail('transactions', e)
+    }
+    await sleep(5000)
+    return watchTransactions()
+}
+
+function diff (a, b) {
+    return a.filter((i) => {
+        return b.indexOf(i) < 0
     })
 }
 
+Heartbeat.alive()
+setInterval(Heartbeat.alive, 10000)
+if (config.get('metrics.enabled')) {
+    // crawlers.js gives each crawler its own port
+    Metrics.serve(parseInt(process.env.METRICS_PORT || config.get('metrics.crawlerPort')))
+}
+
 getCurrentCandidates().then(() => {
     return updateSignerPenAndStatus()
 }).then(() => {
-    return getPastEvent().then(() => {
+    // catch up from the persisted cursor without tweeting old proposals
+    return watchValidator(true).then(() => {
         watchNewBlock()
+        watchWebhookDeliveries()
+        watchClaims()
+        watchTransactions()
     })
 }).catch(e => {
     logger.error('Start error %s', e)
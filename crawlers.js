@@ -0,0 +1,24 @@
+'use strict'
+
+const { fork } = require('child_process')
+const path = require('path')
+const Network = require('./helpers/network')
+const logger = require('./helpers/logger')
+const config = require('config')
+
+// Run one crawler per configured network, restart a crawler when it exits
+function start (network, index) {
+    const worker = fork(path.resolve(__dirname, 'crawl.js'), [], {
+        env: Object.assign({}, process.env, {
+            NETWORK: network.name,
+            METRICS_PORT: parseInt(config.get('metrics.crawlerPort')) + index
+        })
+    })
+    logger.info('Start crawler of network %s (%s), pid %s', network.name, network.networkId, worker.pid)
+    worker.on('exit', (code) => {
+        logger.error('Crawler of network %s exited with code %s, restart in 5s', network.name, code)
+        setTimeout(() => start(network, index), 5000)
+    })
+}
+
+Network.list().forEach((network, index) => start(network, index))
@@ -0,0 +1,8 @@
+'use strict'
+
+const Backoff = {
+    // milliseconds before the next attempt, doubling from min seconds after the first one up to max seconds
+    delay: (attempts, min, max) => Math.min(min * Math.pow(2, Math.max(attempts - 1, 0)), max) * 1000
+}
+
+module.exports = Backoff
@@ -0,0 +1,140 @@
+'use strict'
+const LRU = require('lru-cache')
+const _ = require('lodash')
+const Web3 = require('web3')
+const ValidatorABI = require('../build/contracts/TomoValidator')
+const Network = require('./network')
+const config = Network.config
+const ProviderPool = require('./providerPool')
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+
+// results read at a given block never change, reads of the latest block are not cached
+const cache = new LRU({ max: parseInt(config.get('chainReader.cacheSize')) })
+let requestId = 0
+
+// batches in flight, shared by every reader of the process
+let running = 0
+const waiting = []
+async function limited (fn) {
+    if (running >= parseInt(config.get('chainReader.concurrency'))) {
+        // the slot is handed over by the batch which finishes
+        await new Promise(resolve => waiting.push(resolve))
+    } else {
+        running++
+    }
+    try {
+        return await fn()
+    } finally {
+        const next = waiting.shift()
+        if (next) {
+            next()
+        } else {
+            running--
+        }
+    }
+}
+
+function sendBatch (payloads) {
+    return new Promise((resolve, reject) => {
+        ProviderPool.get('internalRpc').send(payloads, (error, responses) => {
+            if (error) {
+                return reject(error)
+            }
+            if (!Array.isArray(responses)) {
+                return reject(new Error('Invalid JSON-RPC batch response'))
+            }
+            const byId = _.keyBy(responses, 'id')
+            return resolve(payloads.map(p => byId[p.id]))
+        })
+    })
+}
+
+// [{ method, params, key, format }] sent as JSON-RPC batches, the results in the same order.
+// Requests with a key are cached
+async function read (requests) {
+    const network = Network.current().name
+    const results = new Array(requests.length)
+    const missing = []
+    requests.forEach((r, i) => {
+        const cached = r.key ? cache.get(`${network}:${r.key}`) : undefined
+        if (cached !== undefined) {
+            results[i] = cached
+        } else {
+            missing.push(i)
+        }
+    })
+
+    await Promise.all(_.chunk(missing, parseInt(config.get('chainReader.batchSize'))).map(chunk => limited(async () => {
+        const payloads = chunk.map(i => ({
+            jsonrpc: '2.0',
+            id: `read-${++requestId}`,
+            method: requests[i].method,
+            params: requests[i].params || []
+        }))
+        const responses = await sendBatch(payloads)
+        chunk.forEach((index, j) => {
+            const request = requests[index]
+            const response = responses[j] || { error: { message: 'no response' } }
+            if (response.error) {
+                throw new Error(`${request.method} ${response.error.message}`)
+            }
+            const value = request.format ? request.format(response.result) : response.result
+            if (request.key && value !== null && value !== undefined) {
+                cache.set(`${network}:${request.key}`, value)
+            }
+            results[index] = value
+        })
+    })))
+    return results
+}
+
+const toBlockTag = (blockNumber) => blockNumber === undefined ? 'latest' : Web3.utils.numberToHex(blockNumber)
+
+const ChainReader = {
+    read,
+    // [{ method, params }] of the validator contract, at the latest block when blockNumber is not given
+    callValidator: (calls, blockNumber) => {
+        const to = config.get('blockchain.validatorAddress')
+        const tag = toBlockTag(blockNumber)
+        return read(calls.map(c => {
+            const abi = ValidatorABI.abi.find(m => m.type === 'function' && m.name === c.method)
+            const data = web3.eth.abi.encodeFunctionCall(abi, c.params || [])
+            return {
+                method: 'eth_call',
+                params: [{ to, data }, tag],
+                key: blockNumber === undefined ? null : `call:${to}:${tag}:${data}`,
+                format: (hex) => {
+                    const decoded = web3.eth.abi.decodeParameters(abi.outputs, hex)
+                    return abi.outputs.length === 1 ? decoded[0] : decoded
+                }
+            }
+        }))
+    },
+    // TomoChain status (MASTERNODE, SLASHED, PROPOSED) of the candidates
+    getCandidateStatuses: (candidates, blockNumber) => read(candidates.map(c => ({
+        method: 'eth_getCandidateStatus',
+        params: [c, toBlockTag(blockNumber)],
+        key: blockNumber === undefined ? null : `status:${c}:${blockNumber}`,
+        format: (result) => (result || {}).status
+    }))),
+    // number and timestamp are numbers like web3.eth.getBlock, the transactions are hashes
+    // unless transactions is set. Blocks with their transactions are too big to be cached
+    getBlocks: (blockNumbers, transactions = false) => read(blockNumbers.map(n => ({
+        method: 'eth_getBlockByNumber',
+        params: [toBlockTag(n), transactions],
+        key: transactions ? null : `block:${n}`,
+        format: (blk) => blk && Object.assign(blk, {
+            number: Web3.utils.hexToNumber(blk.number),
+            timestamp: Web3.utils.hexToNumber(blk.timestamp)
+        })
+    }))),
+    // numbers of the blocks, null for the unknown hashes
+    getBlockNumbers: (hashes) => read(hashes.map(h => ({
+        method: 'eth_getBlockByHash',
+        params: [h, false],
+        key: `number:${h}`,
+        format: (blk) => blk ? Web3.utils.hexToNumber(blk.number) : null
+    })))
+}
+
+module.exports = ChainReader
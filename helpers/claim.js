@@ -0,0 +1,138 @@
+'use strict'
+const axios = require('axios')
+const url = require('url')
+const config = require('./network').config
+const db = require('../models/mongodb')
+const logger = require('./logger')
+const HostGuard = require('./hostGuard')
+
+const timeout = 10000
+const maxContentLength = 64 * 1024
+// a pending claim fails when its proof is not published within a day
+const pendingTime = 24 * 3600 * 1000
+// verified claims are checked again once a day, and lost after 3 failed checks in a row
+const recheckTime = 24 * 3600 * 1000
+const maxFailures = 3
+
+const types = ['website', 'github']
+
+// Value of the social which is claimed, the website host or the GitHub username
+function claimValue (type, social) {
+    social = (social || '').trim()
+    if (!social) {
+        return ''
+    }
+    if (type === 'website') {
+        const u = url.parse(/^https?:\/\//i.test(social) ? social : `https://${social}`)
+        return (u.hostname || '').toLowerCase()
+    }
+    // github.com/<user> or <user>
+    return social.replace(/\/+$/, '').split('/').pop().replace(/^@/, '').toLowerCase()
+}
+
+// The owner signs this message and publishes the signature at the proof url
+function claimMessage (candidate, type, value) {
+    return `TomoMaster ${type} claim: ${value} belongs to candidate ${candidate.toLowerCase()} ` +
+        `on network ${config.get('blockchain.networkId')}`
+}
+
+// the website is given by the owner, it must not reach the internal hosts
+async function fetchText (proofUrl) {
+    await HostGuard.check(proofUrl)
+    const { data } = await axios.get(proofUrl, Object.assign({
+        timeout,
+        maxContentLength,
+        transformResponse: [d => d]
+    }, HostGuard.options()))
+    return String(data || '')
+}
+
+// Throw if the proof can not be found
+async function checkProof (type, claim) {
+    if (type === 'website') {
+        const text = await fetchText(`https://${claim.value}/.well-known/tomomaster.txt`)
+        if (text.indexOf(claim.signature) < 0) {
+            throw Error('Signature not found in the well-known file')
+        }
+        return
+    }
+    const id = url.parse(claim.proofUrl || '').pathname.replace(/\/+$/, '').split('/').pop()
+    const { data } = await axios.get(`https://api.github.com/gists/${id}`, { timeout })
+    if (((data.owner || {}).login || '').toLowerCase() !== claim.value) {
+        throw Error('The gist is not owned by the GitHub user')
+    }
+    const found = Object.values(data.files || {}).some(f => (f.content || '').indexOf(claim.signature) >= 0)
+    if (!found) {
+        throw Error('Signature not found in the gist')
+    }
+}
+
+async function checkClaim (candidate, type) {
+    const claim = candidate.claims[type]
+    const now = new Date()
+    const set = { [`claims.${type}.checkedAt`]: now }
+    try {
+        if (claimValue(type, (candidate.socials || {})[type]) !== claim.value) {
+            throw Error(`The ${type} of the candidate has changed`)
+        }
+        await checkProof(type, claim)
+        set[`claims.${type}.status`] = 'VERIFIED'
+        set[`claims.${type}.error`] = ''
+        set[`claims.${type}.failures`] = 0
+        if (claim.status !== 'VERIFIED') {
+            set[`claims.${type}.verifiedAt`] = now
+        }
+    } catch (e) {
+        const failures = (claim.failures || 0) + 1
+        set[`claims.${type}.error`] = e.message
+        set[`claims.${type}.failures`] = failures
+        if ((claim.status === 'VERIFIED' && failures >= maxFailures) ||
+            (claim.status === 'PENDING' && now - claim.submittedAt > pendingTime)) {
+            set[`claims.${type}.status`] = 'FAILED'
+        }
+        logger.debug('Claim %s of %s %s', type, candidate.candidate, e.message)
+    }
+    await db.Candidate.updateOne({ _id: candidate._id }, { $set: set })
+}
+
+// $set failing the claims of the socials changed by set, a proof does not hold for another value
+function invalidate (candidate, set) {
+    const result = {}
+    types.filter(type => `socials.${type}` in set).forEach(type => {
+        const claim = (candidate.claims || {})[type] || {}
+        if (claim.status && claim.status !== 'FAILED' && claimValue(type, set[`socials.${type}`]) !== claim.value) {
+            result[`claims.${type}.status`] = 'FAILED'
+            result[`claims.${type}.error`] = `The ${type} of the candidate has changed`
+        }
+    })
+    return result
+}
+
+const ClaimHelper = {
+    types,
+    claimValue,
+    claimMessage,
+    checkClaim,
+    invalidate,
+    // check pending claims and the verified ones which have not been checked for a day
+    processClaims: async () => {
+        const recheckBefore = new Date(Date.now() - recheckTime)
+        let checked = 0
+        for (const type of types) {
+            const candidates = await db.Candidate.find({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                $or: [
+                    { [`claims.${type}.status`]: 'PENDING' },
+                    { [`claims.${type}.status`]: 'VERIFIED', [`claims.${type}.checkedAt`]: { $lt: recheckBefore } }
+                ]
+            }).lean().exec()
+            for (const c of candidates) {
+                await checkClaim(c, type)
+                checked++
+            }
+        }
+        return checked
+    }
+}
+
+module.exports = ClaimHelper
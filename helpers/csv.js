@@ -0,0 +1,19 @@
+'use strict'
+
+// spreadsheets run a cell starting with one of these as a formula
+const formulaStart = /^[=+\-@\t\r]/
+
+function field (value) {
+    let str = (value === undefined || value === null) ? '' : String(value)
+    if (typeof value !== 'number' && formulaStart.test(str)) {
+        str = `'${str}`
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+const Csv = {
+    field,
+    row: (values) => values.map(field).join(',') + '\n'
+}
+
+module.exports = Csv
@@ -0,0 +1,26 @@
+'use strict'
+const nodemailer = require('nodemailer')
+const config = require('./network').config
+
+const transporter = nodemailer.createTransport({
+    host: config.get('notifier.email.host'),
+    port: parseInt(config.get('notifier.email.port')),
+    secure: config.get('notifier.email.secure'),
+    auth: config.get('notifier.email.user') ? {
+        user: config.get('notifier.email.user'),
+        pass: config.get('notifier.email.pass')
+    } : undefined
+})
+
+const EmailHelper = {
+    send: async (to, subject, text) => {
+        return transporter.sendMail({
+            from: config.get('notifier.email.from'),
+            to,
+            subject,
+            text
+        })
+    }
+}
+
+module.exports = EmailHelper
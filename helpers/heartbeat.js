@@ -0,0 +1,43 @@
+'use strict'
+const os = require('os')
+const db = require('../models/mongodb')
+const Network = require('./network')
+const ProviderPool = require('./providerPool')
+const logger = require('./logger')
+
+const startedAt = new Date()
+
+// never throws, a heartbeat must not stop the crawler
+async function save (task, set) {
+    try {
+        await db.CrawlerHeartbeat.updateOne({ task }, { $set: set }, { upsert: true })
+    } catch (e) {
+        logger.warn('Heartbeat %s %s', task, e.message)
+    }
+}
+
+const Heartbeat = {
+    // task done, progress is { blockNumber, epoch }
+    beat: (task, progress = {}) => {
+        const now = new Date()
+        return save(task, Object.assign({ lastRunAt: now, lastSuccessAt: now }, progress))
+    },
+    fail: (task, error) => {
+        const now = new Date()
+        return save(task, {
+            lastRunAt: now,
+            lastError: (error && error.message) || String(error),
+            lastErrorAt: now
+        })
+    },
+    // the process is alive, with the state of its RPC endpoints
+    alive: () => save('crawler', {
+        lastRunAt: new Date(),
+        host: os.hostname(),
+        pid: process.pid,
+        startedAt,
+        providers: ProviderPool.state(Network.current().name)
+    })
+}
+
+module.exports = Heartbeat
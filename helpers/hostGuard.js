@@ -0,0 +1,142 @@
+'use strict'
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const url = require('url')
+const config = require('./network').config
+
+// IPv4 ranges which are not on the internet, the metadata address 169.254.169.254 is link-local
+const privateRanges = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+]
+
+const toInt = (ip) => ip.split('.').reduce((n, part) => ((n << 8) + parseInt(part)) >>> 0, 0)
+
+function isPrivateV4 (ip) {
+    const n = toInt(ip)
+    return privateRanges.some(([ base, bits ]) => {
+        const mask = (~0 << (32 - bits)) >>> 0
+        return ((n & mask) >>> 0) === ((toInt(base) & mask) >>> 0)
+    })
+}
+
+// the 8 groups of an IPv6 address
+function expand (ip) {
+    let tail = []
+    const v4 = ip.match(/(\d+\.\d+\.\d+\.\d+)$/)
+    if (v4) {
+        const n = toInt(v4[1])
+        tail = [n >>> 16, n & 0xffff]
+        ip = ip.slice(0, -v4[1].length)
+        if (!/::$/.test(ip)) {
+            ip = ip.replace(/:$/, '')
+        }
+    }
+    const [ head, rest ] = ip.split('::')
+    const left = head ? head.split(':') : []
+    const right = rest ? rest.split(':') : []
+    const groups = left.concat(new Array(8 - tail.length - left.length - right.length).fill('0'), right)
+        .map(g => parseInt(g || '0', 16))
+    return groups.slice(0, 8 - tail.length).concat(tail)
+}
+
+function isPrivateV6 (ip) {
+    const g = expand(ip.split('%')[0])
+    const embedded = (hi, lo) => isPrivateV4([hi >>> 8, hi & 0xff, lo >>> 8, lo & 0xff].join('.'))
+    const zeros = (n) => g.slice(0, n).every(x => x === 0)
+    if (zeros(7) && g[7] <= 1) {
+        // unspecified and loopback
+        return true
+    }
+    if ((zeros(5) && g[5] === 0xffff) || zeros(6)) {
+        // IPv4 mapped and compatible
+        return embedded(g[6], g[7])
+    }
+    if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) {
+        // NAT64
+        return embedded(g[6], g[7])
+    }
+    if (g[0] === 0x2002) {
+        // 6to4
+        return embedded(g[1], g[2])
+    }
+    // unique local, link-local, site-local and multicast
+    return (g[0] & 0xfe00) === 0xfc00 || (g[0] & 0xffc0) === 0xfe80 ||
+        (g[0] & 0xffc0) === 0xfec0 || (g[0] & 0xff00) === 0xff00
+}
+
+// loopback, private, link-local (cloud metadata), reserved and multicast addresses
+function isPrivateAddress (ip) {
+    if (net.isIPv4(ip)) {
+        return isPrivateV4(ip)
+    }
+    if (net.isIPv6(ip.split('%')[0])) {
+        return isPrivateV6(ip)
+    }
+    return true
+}
+
+const allowPrivate = () => !!config.get('hostGuard.allowPrivate')
+
+// dns.lookup refusing the private addresses, the agents use it so a host is checked on every connection
+function lookup (hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options
+        options = {}
+    }
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error)
+        }
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address]
+        const blocked = addresses.find(a => isPrivateAddress(a))
+        if (blocked && !allowPrivate()) {
+            return callback(new Error(`${hostname} resolves to the private address ${blocked}`))
+        }
+        return callback(null, address, family)
+    })
+}
+
+const httpAgent = new http.Agent({ lookup })
+const httpsAgent = new https.Agent({ lookup })
+
+const HostGuard = {
+    isPrivateAddress,
+    // Throw if the url is not http(s) or its host resolves to a private address
+    check: async (target) => {
+        const u = url.parse(target || '')
+        if (!/^https?:$/.test(u.protocol || '') || !u.hostname) {
+            throw Error('Only http and https urls are allowed')
+        }
+        if (allowPrivate()) {
+            return
+        }
+        // ip literals are not resolved by the agents
+        const addresses = await new Promise((resolve, reject) => dns.lookup(u.hostname, { all: true },
+            (error, result) => error ? reject(error) : resolve(result.map(a => a.address))))
+        const blocked = addresses.find(a => isPrivateAddress(a))
+        if (blocked) {
+            throw Error(`${u.hostname} resolves to the private address ${blocked}`)
+        }
+    },
+    // axios options of the requests to the hosts given by the users, redirects are not followed
+    options: () => ({
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        maxRedirects: 0
+    })
+}
+
+module.exports = HostGuard
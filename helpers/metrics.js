@@ -0,0 +1,93 @@
+'use strict'
+const http = require('http')
+const client = require('prom-client')
+const config = require('./network').config
+const logger = require('./logger')
+
+const prefix = 'tomomaster_'
+client.collectDefaultMetrics({ prefix })
+
+const httpDuration = new client.Histogram({
+    name: `${prefix}http_request_duration_seconds`,
+    help: 'Duration of the API requests by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+})
+const httpRequests = new client.Counter({
+    name: `${prefix}http_requests_total`,
+    help: 'API requests by route and status',
+    labelNames: ['method', 'route', 'status']
+})
+
+const Metrics = {
+    rpcRequests: new client.Counter({
+        name: `${prefix}rpc_requests_total`,
+        help: 'JSON-RPC calls by provider pool and method',
+        labelNames: ['network', 'pool', 'method']
+    }),
+    rpcErrors: new client.Counter({
+        name: `${prefix}rpc_errors_total`,
+        help: 'JSON-RPC calls which failed on every endpoint or were answered with an error',
+        labelNames: ['network', 'pool', 'method']
+    }),
+    crawlerLag: new client.Gauge({
+        name: `${prefix}crawler_block_lag`,
+        help: 'Blocks between the chain head and the last block processed by the crawler task',
+        labelNames: ['network', 'task']
+    }),
+    crawlerEvents: new client.Counter({
+        name: `${prefix}crawler_events_total`,
+        help: 'TomoValidator events processed by the crawler by type',
+        labelNames: ['network', 'event']
+    }),
+    notifications: new client.Counter({
+        name: `${prefix}notifications_total`,
+        help: 'Notifications fired by type',
+        labelNames: ['network', 'event']
+    }),
+    mongoDuration: new client.Histogram({
+        name: `${prefix}mongodb_operation_duration_seconds`,
+        help: 'Duration of the MongoDB operations by collection',
+        labelNames: ['collection', 'operation'],
+        buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5]
+    }),
+
+    // express middleware timing the requests, the route is the matched path, not the url
+    middleware: (req, res, next) => {
+        const end = httpDuration.startTimer()
+        // routers restore baseUrl when they pass an error on, keep the one of the matched route
+        let route
+        let matched = 'unmatched'
+        Object.defineProperty(req, 'route', {
+            configurable: true,
+            enumerable: true,
+            get: () => route,
+            set: (r) => {
+                route = r
+                matched = req.baseUrl + r.path
+            }
+        })
+        res.on('finish', () => {
+            const labels = { method: req.method, route: matched, status: res.statusCode }
+            end(labels)
+            httpRequests.inc(labels)
+        })
+        next()
+    },
+    // metrics port of the server and the crawlers, internal as metrics.host
+    serve: (port) => {
+        const server = http.createServer((req, res) => {
+            if (req.url !== '/metrics') {
+                res.statusCode = 404
+                return res.end()
+            }
+            res.setHeader('Content-Type', client.register.contentType)
+            res.end(client.register.metrics())
+        })
+        server.on('error', (e) => logger.error('Metrics server %s', e.message))
+        server.listen(port, config.get('metrics.host'), () => logger.info('Metrics at port %s', port))
+        return server
+    }
+}
+
+module.exports = Metrics
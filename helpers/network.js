@@ -0,0 +1,67 @@
+'use strict'
+const cls = require('cls-hooked')
+const baseConfig = require('config')
+const _ = require('lodash')
+
+// Networks served by this deployment. Each entry of the `networks` config overrides the
+// top-level settings (blockchain, explorerUrl, ...) for that network, a deployment without
+// `networks` serves the single network of the top-level settings
+const base = JSON.parse(JSON.stringify(baseConfig))
+const networks = {}
+_.forEach(_.isEmpty(base.networks) ? { default: {} } : base.networks, (overrides, name) => {
+    const settings = _.merge({}, _.omit(base, ['networks']), overrides)
+    networks[name] = {
+        name,
+        networkId: parseInt(settings.blockchain.networkId),
+        settings
+    }
+})
+
+// crawler workers are started with NETWORK=<name>
+const defaultNetwork = networks[process.env.NETWORK] || networks[Object.keys(networks)[0]]
+const namespace = cls.createNamespace('network')
+
+const Network = {
+    // by name or networkId
+    find: (nameOrId) => {
+        if (_.has(networks, nameOrId)) {
+            return networks[nameOrId]
+        }
+        return _.find(networks, n => String(n.networkId) === String(nameOrId))
+    },
+    list: () => _.values(networks),
+    current: () => namespace.get('network') || defaultNetwork,
+    run: (network, fn) => namespace.run(() => {
+        namespace.set('network', network)
+        return fn()
+    }),
+    // keep the network in the listeners of req/res
+    bindEmitter: (emitter) => namespace.bindEmitter(emitter),
+    // lazily create one instance per network, e.g. web3 or contract objects created at module load
+    perNetwork: (create) => {
+        const instances = {}
+        return new Proxy({}, {
+            get: (target, prop) => {
+                const name = Network.current().name
+                if (!instances[name]) {
+                    instances[name] = create()
+                }
+                const value = instances[name][prop]
+                return typeof value === 'function' ? value.bind(instances[name]) : value
+            }
+        })
+    },
+    // drop-in replacement of the `config` module, reads the settings of the current network
+    config: {
+        get: (key) => {
+            const value = _.get(Network.current().settings, key)
+            if (value === undefined) {
+                throw new Error(`Configuration property "${key}" is not defined`)
+            }
+            return _.isObject(value) ? _.cloneDeep(value) : value
+        },
+        has: (key) => _.has(Network.current().settings, key)
+    }
+}
+
+module.exports = Network
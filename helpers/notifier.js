@@ -0,0 +1,101 @@
+'use strict'
+const Network = require('./network')
+const config = Network.config
+const urljoin = require('url-join')
+const db = require('../models/mongodb')
+const logger = require('./logger')
+
+// transports are loaded only when enabled
+const transports = {}
+if (config.get('notifier.email.enabled')) {
+    transports.email = require('./email')
+}
+if (config.get('notifier.telegram.enabled')) {
+    transports.telegram = require('./telegram')
+}
+
+const candidateUrl = (candidate) => urljoin(config.get('baseUrl'), 'candidate', candidate)
+
+// the link keeps the network of the channel
+function confirmUrl (token) {
+    const path = Network.list().length > 1
+        ? `api/${Network.current().name}/channels/confirm`
+        : 'api/channels/confirm'
+    return `${urljoin(config.get('baseUrl'), path)}?token=${token}`
+}
+
+const templates = {
+    Slash: (n) => ({
+        subject: `Masternode ${n.candidateName} has been slashed`,
+        text: `The masternode ${n.candidateName} (${n.candidate}) you voted for was slashed ` +
+            `at block ${n.blockNumber} and will not receive rewards for the next epochs.\n` +
+            `${candidateUrl(n.candidate)}`
+    }),
+    Outtop: (n) => ({
+        subject: `Candidate ${n.candidateName} is out of the top masternodes`,
+        text: `The candidate ${n.candidateName} (${n.candidate}) you voted for dropped out of the top 150 ` +
+            `at block ${n.blockNumber}.\n${candidateUrl(n.candidate)}`
+    }),
+    Resign: (n) => ({
+        subject: `Candidate ${n.candidateName} has resigned`,
+        text: `The candidate ${n.candidateName} (${n.candidate}) you voted for resigned at block ` +
+            `${n.blockNumber}, you can unvote your TOMO.\n${candidateUrl(n.candidate)}`
+    }),
+    AtRisk: (n) => ({
+        subject: `Masternode ${n.candidateName} is at risk of being slashed`,
+        text: `The masternode ${n.candidateName} (${n.candidate}) you voted for may be slashed at the next ` +
+            `checkpoint: ${n.reason}.\n${candidateUrl(n.candidate)}`
+    }),
+    Withdraw: (n) => ({
+        subject: `${n.amount} TOMO is ready to withdraw`,
+        text: `Your unvoted ${n.amount} TOMO is unlocked at block ${n.blockNumber} and ready to withdraw.\n` +
+            `${urljoin(config.get('baseUrl'), 'voter', n.voter)}`
+    })
+}
+
+const Notifier = {
+    templates,
+    // push the notification to every channel the voter opted in, never throws
+    notify: async (voter, candidate, candidateName, event, blockNumber, amount = '', reason = '') => {
+        try {
+            if (!templates[event] || Object.keys(transports).length === 0) {
+                return
+            }
+            const channels = await db.NotificationChannel.find({
+                address: voter,
+                channel: { $in: Object.keys(transports) },
+                events: event,
+                active: true,
+                $or: [{ channel: { $ne: 'email' } }, { confirmedAt: { $exists: true } }]
+            }).lean().exec()
+            const { subject, text } = templates[event]({
+                voter,
+                candidate,
+                candidateName: candidateName || 'Anonymous',
+                blockNumber,
+                amount,
+                reason
+            })
+            await Promise.all(channels.map(async c => {
+                try {
+                    await transports[c.channel].send(c.target, subject, text)
+                } catch (e) {
+                    logger.warn('Notify %s via %s error %s', voter, c.channel, e.message)
+                }
+            }))
+        } catch (e) {
+            logger.error('Notify %s %s error %s', voter, event, e)
+        }
+    },
+    // ask the owner of the email address to confirm the channel
+    confirm: async (address, target, token) => {
+        if (!transports.email) {
+            throw Error('Email notifications are disabled')
+        }
+        await transports.email.send(target, 'Confirm your TomoMaster notifications',
+            `The address ${address} asked TomoMaster to send its notifications to this email address.\n` +
+            `Open this link to confirm, or ignore this email: ${confirmUrl(token)}`)
+    }
+}
+
+module.exports = Notifier
@@ -0,0 +1,207 @@
+'use strict'
+const Web3 = require('web3')
+const _ = require('lodash')
+const Network = require('./network')
+const logger = require('./logger')
+const Metrics = require('./metrics')
+
+// one pool per network and endpoint kind (rpc, ws, internalRpc, internalWs), shared by the web3 instances
+const pools = {}
+let requestId = 0
+
+// string ids do not collide with the ids of web3 on a shared websocket
+function request (provider, method, params = []) {
+    return new Promise((resolve, reject) => {
+        const payload = { jsonrpc: '2.0', id: `pool-${++requestId}`, method, params }
+        try {
+            provider.send(payload, (error, response) => {
+                if (error) {
+                    return reject(error)
+                }
+                if (response.error) {
+                    return reject(new Error(response.error.message))
+                }
+                return resolve(response.result)
+            })
+        } catch (e) {
+            reject(e)
+        }
+    })
+}
+
+function createProvider (pool, url) {
+    const options = { timeout: pool.settings.timeout * 1000 }
+    return /^wss?:/i.test(url)
+        ? new Web3.providers.WebsocketProvider(url, options)
+        : new Web3.providers.HttpProvider(url, options)
+}
+
+// reconnect a websocket with exponential backoff, the probe after it resets the attempts
+function reconnect (pool, endpoint) {
+    if (endpoint.type !== 'ws' || endpoint.reconnecting) {
+        return
+    }
+    endpoint.reconnecting = true
+    const delay = Math.min(pool.settings.reconnectMin * Math.pow(2, endpoint.attempts), pool.settings.reconnectMax)
+    endpoint.attempts++
+    logger.warn('Reconnect %s %s in %ss', pool.name, endpoint.url, delay)
+    setTimeout(() => {
+        try {
+            endpoint.provider.disconnect()
+        } catch (e) {
+            logger.debug('Disconnect %s %s', endpoint.url, e.message)
+        }
+        endpoint.provider = createProvider(pool, endpoint.url)
+        endpoint.reconnecting = false
+        probe(pool, endpoint)
+    }, delay * 1000).unref()
+}
+
+function fail (pool, endpoint, error) {
+    if (endpoint.healthy) {
+        logger.warn('RPC endpoint %s %s is down %s', pool.name, endpoint.url, error.message)
+    }
+    endpoint.healthy = false
+    endpoint.error = error.message
+    endpoint.failures++
+    if (!endpoint.provider.connected) {
+        reconnect(pool, endpoint)
+    }
+}
+
+async function probe (pool, endpoint) {
+    if (endpoint.reconnecting) {
+        return
+    }
+    const started = Date.now()
+    try {
+        const [ networkId, blockNumber ] = await Promise.all([
+            request(endpoint.provider, 'net_version'),
+            request(endpoint.provider, 'eth_blockNumber')
+        ])
+        endpoint.latency = Date.now() - started
+        endpoint.networkId = parseInt(networkId)
+        endpoint.blockNumber = Web3.utils.hexToNumber(blockNumber)
+        endpoint.checkedAt = new Date()
+        // a node of another chain is never used
+        endpoint.wrongChain = endpoint.networkId !== pool.settings.networkId
+        if (endpoint.wrongChain) {
+            return fail(pool, endpoint, new Error(
+                `networkId ${endpoint.networkId} does not match ${pool.settings.networkId}`))
+        }
+        if (!endpoint.healthy) {
+            logger.info('RPC endpoint %s %s is up at block %s', pool.name, endpoint.url, endpoint.blockNumber)
+        }
+        endpoint.healthy = true
+        endpoint.error = null
+        endpoint.attempts = 0
+    } catch (e) {
+        endpoint.checkedAt = new Date()
+        fail(pool, endpoint, e)
+    }
+}
+
+// healthy endpoints close to the highest block first, then by latency, down ones are the last resort
+function ranked (pool) {
+    const height = _.max(pool.endpoints.filter(e => e.healthy).map(e => e.blockNumber || 0)) || 0
+    const available = pool.endpoints.filter(e => !e.wrongChain)
+    return _.sortBy(available, [
+        e => e.healthy ? 0 : 1,
+        e => height - (e.blockNumber || height) > pool.settings.maxLag ? 1 : 0,
+        e => e.latency || 0,
+        e => pool.endpoints.indexOf(e)
+    ])
+}
+
+// web3 provider sending each call to the best endpoint, the next ones are tried on connection errors
+function send (pool, payload, callback) {
+    const endpoints = ranked(pool)
+    // calls by id, a batch holds several
+    const methods = _.fromPairs([].concat(payload).map(p => [p.id, p.method]))
+    const labels = (method) => ({ network: pool.network, pool: pool.name, method })
+    _.forEach(methods, m => Metrics.rpcRequests.inc(labels(m)))
+    const done = (error, result) => {
+        if (error) {
+            _.forEach(methods, m => Metrics.rpcErrors.inc(labels(m)))
+        } else {
+            [].concat(result).filter(r => r && r.error).forEach(r => Metrics.rpcErrors.inc(labels(methods[r.id])))
+        }
+        return callback(error, result)
+    }
+    const attempt = (i, lastError) => {
+        const endpoint = endpoints[i]
+        if (!endpoint) {
+            return done(lastError || new Error(`No ${pool.name} endpoint available`))
+        }
+        if (i === 0 && pool.active !== endpoint.url) {
+            logger.info('Use RPC endpoint %s %s', pool.name, endpoint.url)
+            pool.active = endpoint.url
+        }
+        const next = (error, result) => {
+            if (error) {
+                fail(pool, endpoint, error)
+                return attempt(i + 1, error)
+            }
+            return done(null, result)
+        }
+        try {
+            endpoint.provider.send(payload, next)
+        } catch (e) {
+            next(e)
+        }
+    }
+    attempt(0)
+}
+
+function create (network, name) {
+    const settings = network.settings
+    const fallbacks = _.get(settings, `blockchain.fallbacks.${name}`) || []
+    const urls = _.uniq([ _.get(settings, `blockchain.${name}`) ].concat(fallbacks).filter(u => !!u))
+    const pool = {
+        network: network.name,
+        name,
+        active: null,
+        settings: Object.assign({ networkId: parseInt(settings.blockchain.networkId) }, settings.providers)
+    }
+    // an empty url keeps the default of web3
+    pool.endpoints = (urls.length ? urls : ['']).map(url => ({
+        url,
+        type: /^wss?:/i.test(url) ? 'ws' : 'http',
+        provider: createProvider(pool, url),
+        // untested endpoints are used in the configured order
+        healthy: true,
+        wrongChain: false,
+        failures: 0,
+        attempts: 0
+    }))
+    pool.provider = {
+        send: (payload, callback) => send(pool, payload, callback)
+    }
+    pool.provider.request = (method, params) => request(pool.provider, method, params)
+    const probeAll = () => pool.endpoints.forEach(e => probe(pool, e))
+    probeAll()
+    setInterval(probeAll, pool.settings.probeInterval * 1000).unref()
+    return pool
+}
+
+const ProviderPool = {
+    // provider of the current network for the endpoints of blockchain.<name> and blockchain.fallbacks.<name>
+    get: (name) => {
+        const network = Network.current()
+        const key = `${network.name}:${name}`
+        if (!pools[key]) {
+            pools[key] = create(network, name)
+        }
+        return pools[key].provider
+    },
+    // endpoints of every pool of the process, or of one network
+    state: (network) => _.values(pools).filter(pool => !network || pool.network === network).map(pool => ({
+        network: pool.network,
+        name: pool.name,
+        active: pool.active,
+        endpoints: pool.endpoints.map(e => _.pick(e, ['url', 'type', 'healthy', 'wrongChain', 'blockNumber',
+            'latency', 'networkId', 'error', 'failures', 'checkedAt']))
+    }))
+}
+
+module.exports = ProviderPool
@@ -0,0 +1,49 @@
+'use strict'
+const db = require('../models/mongodb')
+const logger = require('./logger')
+
+const handlers = []
+let tailing = false
+
+// Follow the capped collection from the latest event, reopen the cursor when it dies.
+// Events of every network are followed, subscribers filter them by networkId
+async function tail (lastId) {
+    try {
+        const allNetworks = { networkId: { $exists: true } }
+        if (!lastId) {
+            const last = await db.PushEvent.findOne(allNetworks).sort({ $natural: -1 }).lean().exec()
+            lastId = (last || {})._id
+        }
+        const cursor = db.PushEvent.find(lastId ? Object.assign({ _id: { $gt: lastId } }, allNetworks) : allNetworks)
+            .tailable(true, { awaitData: true }).lean().cursor()
+        cursor.on('data', (e) => {
+            lastId = e._id
+            handlers.forEach(h => h(e))
+        })
+        cursor.on('error', (e) => logger.warn('Tail push events %s', e.message))
+        cursor.on('close', () => setTimeout(() => tail(lastId), 1000))
+    } catch (e) {
+        logger.error('Tail push events %s', e)
+        setTimeout(() => tail(lastId), 1000)
+    }
+}
+
+const PubSub = {
+    // called by the crawler, never throws
+    publish: async (type, data, address) => {
+        try {
+            await db.PushEvent.create({ type, data, address })
+        } catch (e) {
+            logger.error('Publish %s event %s', type, e)
+        }
+    },
+    subscribe: (handler) => {
+        handlers.push(handler)
+        if (!tailing) {
+            tailing = true
+            tail()
+        }
+    }
+}
+
+module.exports = PubSub
@@ -0,0 +1,34 @@
+'use strict'
+const BigNumber = require('bignumber.js')
+
+const tomo = (wei) => new BigNumber(wei || 0).div(1e18).toString(10)
+
+const RewardSplit = {
+    // reward of a masternode in proportion to its signed blocks in the epoch
+    masternodeReward: (totalReward, signNumber, totalSignNumber) => new BigNumber(totalReward)
+        .multipliedBy(signNumber).dividedBy(totalSignNumber),
+    // Shares of the reward of a masternode, rates are the percents of the owner (masternode),
+    // the voters and the foundation. Voters share in proportion to their capacity in wei
+    split: (mnReward, rates, candidate, voters, foundation) => {
+        const share = (rate) => new BigNumber(mnReward).multipliedBy(rate).dividedBy(100)
+        const totalCap = voters.reduce((sum, v) => sum.plus(v.capacity), new BigNumber(0))
+        return [{
+            address: (candidate.owner || '').toLowerCase(),
+            reason: 'MasterNode',
+            lockBalance: tomo(candidate.capacity),
+            reward: share(rates.masternode).toString(10)
+        }, {
+            address: foundation,
+            reason: 'Foundation',
+            lockBalance: '0',
+            reward: share(rates.foundation).toString(10)
+        }].concat(voters.map(v => ({
+            address: v.voter,
+            reason: 'Voter',
+            lockBalance: tomo(v.capacity),
+            reward: share(rates.voter).multipliedBy(v.capacity).dividedBy(totalCap).toString(10)
+        })))
+    }
+}
+
+module.exports = RewardSplit
@@ -0,0 +1,71 @@
+'use strict'
+
+// Epoch numbering of the masternode sets and their signs. Status epoch E is the set chosen at
+// the checkpoint block (E-1)*epoch, it signs the blocks (E-1)*epoch+1..E*epoch, the checkpoint
+// E*epoch included. EpochSign groups the signs the same way with signEpoch
+const checkpointEpoch = (checkpoint, epochBlocks) => Math.floor(checkpoint / epochBlocks) + 1
+const signEpoch = (blockNumber, epochBlocks) => Math.ceil(blockNumber / epochBlocks)
+// Rank history is keyed by floor(checkpoint/epoch), one less than the status epoch of the set
+// chosen at the checkpoint. The APIs number the ranks by status epoch
+const rankEpoch = (statusEpoch) => statusEpoch - 1
+const rankStatusEpoch = (epoch) => epoch + 1
+
+const percent = (signed, judged) => judged > 0 ? Math.round(signed / judged * 10000) / 100 : null
+
+// Signed, missed and unknown sign slots of a candidate per epoch. Masternodes sign every
+// mergeSignRange blocks, only the epochs it was a masternode in are expected. A slot the crawler
+// did not record (observed returns false) has no data, it is neither signed nor missed and
+// breaks the missed streak. statuses and signed are keyed by epoch
+function computeStats (options) {
+    const { fromEpoch, toEpoch, latestBlock, epochBlocks, mergeSignRange, statuses, signed, observed } = options
+    const items = []
+    let missedStreak = 0
+    let longestMissedStreak = 0
+    let latestSignedBlock = 0
+    for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) {
+        const status = statuses[epoch] || null
+        const blocks = new Set((signed[epoch] || []).filter(b => b % mergeSignRange === 0))
+        // sign transactions of the latest blocks may not be mined yet
+        const lastBlock = Math.min(epoch * epochBlocks, latestBlock - mergeSignRange)
+
+        const item = { epoch, status, signed: 0, missed: 0, noData: 0, expected: 0 }
+        if (status === 'MASTERNODE') {
+            for (let b = (epoch - 1) * epochBlocks + mergeSignRange; b <= lastBlock; b += mergeSignRange) {
+                item.expected++
+                if (blocks.has(b)) {
+                    item.signed++
+                    latestSignedBlock = b
+                    missedStreak = 0
+                } else if (!observed(b)) {
+                    item.noData++
+                    missedStreak = 0
+                } else {
+                    item.missed++
+                    missedStreak++
+                    longestMissedStreak = Math.max(longestMissedStreak, missedStreak)
+                }
+            }
+        }
+        item.uptime = percent(item.signed, item.signed + item.missed)
+        items.push(item)
+    }
+
+    const sum = (key) => items.reduce((total, i) => total + i[key], 0)
+    return {
+        fromEpoch,
+        toEpoch,
+        mergeSignRange,
+        signed: sum('signed'),
+        missed: sum('missed'),
+        noData: sum('noData'),
+        expected: sum('expected'),
+        uptime: percent(sum('signed'), sum('signed') + sum('missed')),
+        latestSignedBlock,
+        // counted in expected sign transactions, each one covers mergeSignRange blocks
+        currentMissedStreak: missedStreak,
+        longestMissedStreak,
+        items
+    }
+}
+
+module.exports = { checkpointEpoch, signEpoch, rankEpoch, rankStatusEpoch, computeStats }
@@ -0,0 +1,32 @@
+'use strict'
+const utils = require('ethereumjs-util')
+
+// Get signed address of a personal message
+function ecRecover (message, signature) {
+    const signatureBuffer = utils.toBuffer(signature)
+    const signatureParams = utils.fromRpcSig(signatureBuffer)
+
+    const buffer = Buffer.from(message)
+    const msgBuffer = '0x' + buffer.toString('hex')
+    const m = utils.toBuffer(msgBuffer)
+    const msgHash = utils.hashPersonalMessage(m)
+
+    const publicKey = utils.ecrecover(
+        msgHash,
+        signatureParams.v,
+        signatureParams.r,
+        signatureParams.s
+    )
+    const addressBuffer = utils.publicToAddress(publicKey)
+    return utils.bufferToHex(addressBuffer)
+}
+
+// Throw if the message was not signed by the address
+function verifySigner (address, message, signature) {
+    const signedAddress = (ecRecover(message, signature) || '').toLowerCase()
+    if ((address || '').toLowerCase() !== signedAddress) {
+        throw Error('The Signature Message Verification Failed')
+    }
+}
+
+module.exports = { ecRecover, verifySigner }
@@ -0,0 +1,133 @@
+'use strict'
+const _ = require('lodash')
+const config = require('./network').config
+const db = require('../models/mongodb')
+const ChainReader = require('./chainReader')
+const logger = require('./logger')
+const SignStats = require('./signStats')
+
+// blocks read by one call of recordSigns, the crawler catches up with them after a restart
+const recordBatch = 100
+
+// the BlockSigner cursor, the signs of the blocks from startBlock to blockNumber are recorded
+const cursorQuery = () => ({
+    networkId: config.get('blockchain.networkId'),
+    smartContractAddress: config.get('blockchain.blockSignerAddress').toLowerCase()
+})
+
+const getSignCursor = () => db.CrawlCursor.findOne(cursorQuery()).lean().exec()
+
+// Record the sign transactions of the blocks after the cursor, up to toBlock and at most
+// recordBatch blocks. The first run starts 2 epochs back, the rewards paid next are complete
+async function recordSigns (toBlock) {
+    const epochBlocks = parseInt(config.get('blockchain.epoch'))
+    const cursor = await getSignCursor()
+    const fromBlock = cursor
+        ? cursor.blockNumber + 1
+        : Math.max((SignStats.signEpoch(toBlock, epochBlocks) - 3) * epochBlocks + 1, 1)
+    if (fromBlock > toBlock) {
+        return cursor
+    }
+    const endBlock = Math.min(toBlock, fromBlock + recordBatch - 1)
+    const blockSigner = config.get('blockchain.blockSignerAddress').toLowerCase()
+
+    const blocks = await ChainReader.getBlocks(_.range(fromBlock, endBlock + 1), true)
+    const txs = _.flatten(blocks.map(b => (b || {}).transactions || []))
+        .filter(tx => (tx.to || '').toLowerCase() === blockSigner)
+    // the signed block hash is the last 32 bytes of the input
+    const hashes = txs.map(tx => '0x' + (tx.input || '').slice(-64))
+    const numbers = _.zipObject(_.uniq(hashes), await ChainReader.getBlockNumbers(_.uniq(hashes)))
+
+    const signs = {}
+    const latest = {}
+    txs.forEach((tx, i) => {
+        const bN = numbers[hashes[i]]
+        const signer = tx.from.toLowerCase()
+        if (!bN) {
+            logger.debug('Bypass signer %s sign %s', signer, hashes[i])
+            return
+        }
+        const key = `${SignStats.signEpoch(bN, epochBlocks)}:${signer}`
+        signs[key] = (signs[key] || []).concat(bN)
+        latest[signer] = Math.max(latest[signer] || 0, bN)
+    })
+    await Promise.all(_.map(signs, (signed, key) => {
+        const [ epoch, signer ] = key.split(':')
+        return db.EpochSign.updateOne({ epoch: parseInt(epoch), signer }, {
+            $addToSet: { blocks: { $each: signed } }
+        }, { upsert: true })
+    }))
+    await Promise.all(_.map(latest, (bN, signer) => db.Candidate.updateOne({
+        smartContractAddress: config.get('blockchain.validatorAddress'),
+        candidate: signer
+    }, { $max: { latestSignedBlock: bN } })))
+
+    return db.CrawlCursor.findOneAndUpdate(cursorQuery(), {
+        $set: Object.assign(cursorQuery(), {
+            blockNumber: endBlock,
+            startBlock: cursor ? cursor.startBlock : fromBlock
+        })
+    }, { upsert: true, new: true }).lean().exec()
+}
+
+// Whether the signs of the blocks fromBlock..toBlock are all recorded, a sign transaction is
+// mined after the block it signs
+async function isRecorded (fromBlock, toBlock) {
+    const cursor = await getSignCursor()
+    return !!cursor && cursor.startBlock <= fromBlock && cursor.blockNumber >= toBlock
+}
+
+// the checkpoint work of the crawler is retried until it is saved
+const saveCheckpoint = (checkpoint) => db.CrawlCursor.updateOne(cursorQuery(), { $set: { checkpoint } })
+
+// Sign slots of a candidate per epoch, see signStats. A slot is observed when the signs around it
+// are recorded by the cursor, or when a masternode's sign of it was recorded before the cursor
+async function getSigningStats (candidate, fromEpoch, toEpoch, latestBlock) {
+    const epochBlocks = parseInt(config.get('blockchain.epoch'))
+    const mergeSignRange = parseInt(config.get('blockchain.mergeSignRange'))
+    candidate = candidate.toLowerCase()
+
+    const cursor = await getSignCursor()
+    // before the cursor, a slot is observed when any masternode's sign of it is recorded
+    const lastUncovered = Math.min(toEpoch, cursor ? SignStats.signEpoch(cursor.startBlock, epochBlocks) : toEpoch)
+    const [ statuses, signs, recorded ] = await Promise.all([
+        db.Status.find({
+            candidate: candidate,
+            epoch: { $gte: fromEpoch, $lte: toEpoch }
+        }).lean().exec(),
+        db.EpochSign.find({
+            signer: candidate,
+            epoch: { $gte: fromEpoch, $lte: toEpoch }
+        }).lean().exec(),
+        lastUncovered < fromEpoch ? [] : db.EpochSign.aggregate([
+            { $match: { epoch: { $gte: fromEpoch, $lte: lastUncovered } } },
+            { $unwind: '$blocks' },
+            { $group: { _id: null, blocks: { $addToSet: '$blocks' } } }
+        ])
+    ])
+    const signedByAny = new Set((recorded[0] || {}).blocks || [])
+
+    return SignStats.computeStats({
+        fromEpoch,
+        toEpoch,
+        latestBlock,
+        epochBlocks,
+        mergeSignRange,
+        statuses: _.fromPairs(statuses.map(s => [s.epoch, s.status])),
+        signed: _.fromPairs(signs.map(s => [s.epoch, s.blocks])),
+        observed: (b) => signedByAny.has(b) ||
+            (!!cursor && cursor.startBlock <= b && cursor.blockNumber >= b + mergeSignRange)
+    })
+}
+
+module.exports = {
+    signEpoch: SignStats.signEpoch,
+    checkpointEpoch: SignStats.checkpointEpoch,
+    rankEpoch: SignStats.rankEpoch,
+    rankStatusEpoch: SignStats.rankStatusEpoch,
+    getSigningStats,
+    getSignCursor,
+    recordSigns,
+    isRecorded,
+    saveCheckpoint
+}
@@ -0,0 +1,315 @@
+'use strict'
+const uuidv4 = require('uuid/v4')
+const urljoin = require('url-join')
+const BigNumber = require('bignumber.js')
+const Network = require('./network')
+const config = Network.config
+const db = require('../models/mongodb')
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const { ecRecover } = require('./signature')
+const TxTracker = require('./txTracker')
+
+// sessions are kept a day after they expire
+const purgeTime = 24 * 3600 * 1000
+
+// Payload fields of each action, messages are signed by the wallet,
+// transactions are signed by the wallet and broadcast by the server
+const actions = {
+    login: { type: 'message', fields: [] },
+    update: { type: 'message', fields: ['candidate'] },
+    // notification settings of the address
+    notifications: { type: 'message', fields: [] },
+    webhook: { type: 'message', fields: ['url'] },
+    channel: { type: 'message', fields: ['channel', 'target'] },
+    propose: { type: 'transaction', fields: ['candidate', 'amount'] },
+    vote: { type: 'transaction', fields: ['candidate', 'amount'] },
+    unvote: { type: 'transaction', fields: ['candidate', 'amount'] },
+    resign: { type: 'transaction', fields: ['candidate'] },
+    withdraw: { type: 'transaction', fields: ['amount', 'blockNumber', 'index'] }
+}
+
+const toWei = (amount) => new BigNumber(amount).times(10 ** 18).toString(10)
+
+const stamp = () => '[Tomomaster ' + (new Date().toLocaleString().replace(/['"]+/g, '')) + ']'
+
+// the wallet posts to this url, it keeps the network of the session
+function submitUrl (id) {
+    const path = Network.list().length > 1
+        ? `api/${Network.current().name}/sessions/${id}/sign`
+        : `api/sessions/${id}/sign`
+    return urljoin(config.get('baseUrl'), path)
+}
+
+function buildMessage (id, action, address, payload, candidateName) {
+    switch (action) {
+    case 'login':
+        return `${stamp()} Login ${id}`
+    case 'update':
+        return `${stamp()} I am the owner of candidate [${payload.candidate}] ${id}`
+    case 'notifications':
+        return `${stamp()} Manage the notifications of ${address} ${id}`
+    case 'webhook':
+        return `${stamp()} Send the notifications of ${address} to ${payload.url} ${id}`
+    case 'channel':
+        return `${stamp()} Send the notifications of ${address} by ${payload.channel} to ${payload.target} ${id}`
+    case 'resign':
+    case 'withdraw':
+        return ''
+    default:
+        return `${address} ${action} ${payload.amount} TOMO for candidate ${payload.candidate} - ${candidateName}`
+    }
+}
+
+// Throw if the decoded transaction does not do what the session was created for
+function checkTransaction (session, tx) {
+    if (tx.to !== config.get('blockchain.validatorAddress').toLowerCase()) {
+        throw Error('The transaction is not sent to the validator contract')
+    }
+    if (tx.method !== session.action) {
+        throw Error(`Wrong action, ${session.action} is expected`)
+    }
+    const params = tx.params
+    const payload = session.payload || {}
+    const value = new BigNumber(tx.value)
+
+    if (params._candidate !== undefined && params._candidate.toLowerCase() !== payload.candidate) {
+        throw Error('candidate is not match')
+    }
+    if (session.action === 'propose' || session.action === 'vote') {
+        if (!value.isEqualTo(toWei(payload.amount))) {
+            throw Error('Amount is not match')
+        }
+    }
+    if (session.action === 'unvote' && !new BigNumber(params._cap).isEqualTo(toWei(payload.amount))) {
+        throw Error('Amount is not match')
+    }
+    if (session.action === 'withdraw' && (
+        parseInt(params._blockNumber) !== payload.blockNumber || parseInt(params._index) !== payload.index)) {
+        throw Error('Withdrawal is not match')
+    }
+}
+
+async function fail (session, error) {
+    await db.SigningSession.updateOne({ _id: session._id }, {
+        $set: { status: 'FAILED', error: error.message }
+    })
+    return error
+}
+
+async function broadcast (session, rawTx) {
+    let hash
+    try {
+        hash = await TxTracker.submit(rawTx, session.sessionId)
+    } catch (e) {
+        let error = e
+        if (session.action === 'vote') {
+            const balance = new BigNumber(await web3.eth.getBalance(session.signer)).div(10 ** 18)
+            if (balance.isLessThan(session.payload.amount)) {
+                error = Error('Not enough TOMO')
+            }
+        }
+        throw await fail(session, error)
+    }
+    await db.SigningSession.updateOne({ _id: session._id, status: 'SCANNED' }, { $set: { status: 'BROADCAST' } })
+    return hash
+}
+
+const SigningSessionHelper = {
+    actions,
+    create: async (action, address, payload) => {
+        if (!actions[action]) {
+            throw Error(`action ${action} is not supported`)
+        }
+        payload = payload || {}
+        const fields = {}
+        for (const f of actions[action].fields) {
+            if (payload[f] === undefined || payload[f] === '') {
+                throw Error(`${f} is required for ${action}`)
+            }
+            fields[f] = payload[f]
+        }
+        if (fields.candidate) {
+            fields.candidate = fields.candidate.toLowerCase()
+        }
+        if (fields.amount !== undefined) {
+            fields.amount = new BigNumber(String(fields.amount).replace(/,/g, '')).toString(10)
+        }
+        ['blockNumber', 'index'].filter(f => fields[f] !== undefined).forEach(f => {
+            fields[f] = parseInt(fields[f])
+        })
+
+        let candidateName = ''
+        if (fields.candidate) {
+            const c = await db.Candidate.findOne({
+                smartContractAddress: config.get('blockchain.validatorAddress'),
+                candidate: fields.candidate
+            }).lean().exec()
+            if (!c && action !== 'propose') {
+                throw Error('This address is not a candidate')
+            }
+            candidateName = (c || {}).name || 'Anonymous'
+        }
+
+        const id = uuidv4()
+        const expiresAt = new Date(Date.now() + parseInt(config.get('signing.ttl')) * 1000)
+        const session = await db.SigningSession.create({
+            sessionId: id,
+            action,
+            address: (address || '').toLowerCase(),
+            payload: fields,
+            candidateName,
+            message: buildMessage(id, action, (address || '').toLowerCase(), fields, candidateName),
+            status: 'CREATED',
+            expiresAt,
+            purgeAt: new Date(expiresAt.getTime() + purgeTime)
+        })
+        return Object.assign(SigningSessionHelper.toJSON(session), { url: submitUrl(id) })
+    },
+    // the wallet submits a signed message or a signed transaction
+    sign: async (id, body) => {
+        const session = await db.SigningSession.findOne({ sessionId: id }).lean().exec()
+        if (!session) {
+            throw Error('Session not found')
+        }
+        if (body.action && body.action !== session.action) {
+            throw Error(`Wrong action, ${body.action} in stead of ${session.action}`)
+        }
+        const signer = (body.signer || '').toLowerCase()
+        const update = { status: 'SCANNED', signer }
+
+        if (actions[session.action].type === 'message') {
+            if (body.message !== session.message) {
+                throw Error('The message is not match')
+            }
+            if ((ecRecover(body.message, body.signature || '') || '').toLowerCase() !== signer ||
+                (session.address && session.address !== signer)) {
+                throw Error('The Signature Message Verification Failed')
+            }
+            update.signature = body.signature
+        } else {
+            const tx = TxTracker.decode(body.rawTx)
+            if (tx.from !== signer || tx.from !== session.address) {
+                throw Error('Signed Address and signer are not match')
+            }
+            checkTransaction(session, tx)
+            update.tx = tx.hash
+        }
+
+        // a session is signed once, before it expires
+        let signed
+        try {
+            signed = await db.SigningSession.findOneAndUpdate({
+                _id: session._id,
+                status: 'CREATED',
+                expiresAt: { $gt: new Date() }
+            }, { $set: update }, { new: true }).lean().exec()
+        } catch (e) {
+            if (e.code === 11000) {
+                throw Error('The transaction is already submitted')
+            }
+            throw e
+        }
+        if (!signed) {
+            throw Error('Cannot use a QR code twice or the QR code has expired')
+        }
+        if (update.tx) {
+            return broadcast(signed, body.rawTx)
+        }
+        return signed.signature
+    },
+    // refresh the state of the session
+    status: async (id) => {
+        let session = await db.SigningSession.findOne({ sessionId: id }).lean().exec()
+        if (!session) {
+            return null
+        }
+        const set = {}
+        if (session.status === 'CREATED' && session.expiresAt < new Date()) {
+            set.status = 'EXPIRED'
+        } else if (session.status === 'BROADCAST') {
+            // receipts are polled by the transaction tracker
+            const tracked = await TxTracker.get(session.tx)
+            if (tracked && tracked.status === 'MINED') {
+                set.status = 'MINED'
+            } else if (tracked && tracked.status !== 'PENDING') {
+                set.status = 'FAILED'
+                set.error = tracked.error
+            }
+        }
+        if (set.status) {
+            session = await db.SigningSession.findOneAndUpdate({
+                _id: session._id, status: session.status
+            }, { $set: set }, { new: true }).lean().exec() || session
+        }
+        return SigningSessionHelper.toJSON(session)
+    },
+    // a signed message proves the signer once, e.g. for a candidate update
+    consume: async (id, action, signature) => {
+        const session = await db.SigningSession.findOne({ sessionId: id, action }).lean().exec()
+        if (!session) {
+            throw Error('Session not found')
+        }
+        if (session.usedAt) {
+            throw Error('The signature is already used')
+        }
+        if (session.expiresAt < new Date()) {
+            throw Error('The session has expired')
+        }
+        let signer = session.signer
+        if (session.status === 'CREATED') {
+            // signed in the browser
+            signer = (ecRecover(session.message, signature || '') || '').toLowerCase()
+            if (session.address && session.address !== signer) {
+                throw Error('The Signature Message Verification Failed')
+            }
+        } else if (session.status !== 'SCANNED' || session.signature !== signature) {
+            throw Error('The Signature Message Verification Failed')
+        }
+        const used = await db.SigningSession.findOneAndUpdate({
+            _id: session._id,
+            usedAt: { $exists: false }
+        }, {
+            $set: { status: 'SCANNED', signer, signature, usedAt: new Date() }
+        }, { new: true }).lean().exec()
+        if (!used) {
+            throw Error('The signature is already used')
+        }
+        return used
+    },
+    // a signed message proves the signer until the session expires, for the reads
+    verify: async (id, action, signature) => {
+        const session = await db.SigningSession.findOne({ sessionId: id, action }).lean().exec()
+        if (!session) {
+            throw Error('Session not found')
+        }
+        if (session.expiresAt < new Date()) {
+            throw Error('The session has expired')
+        }
+        let signer
+        try {
+            signer = (ecRecover(session.message, signature || '') || '').toLowerCase()
+        } catch (e) {
+            signer = ''
+        }
+        if (!signer || signer !== session.address) {
+            throw Error('The Signature Message Verification Failed')
+        }
+        return session
+    },
+    toJSON: (session) => ({
+        id: session.sessionId,
+        action: session.action,
+        status: session.status,
+        address: session.address,
+        payload: session.payload,
+        candidateName: session.candidateName,
+        message: session.message,
+        signer: session.signer,
+        signature: session.signature,
+        tx: session.tx,
+        error: session.error,
+        expiresAt: session.expiresAt
+    })
+}
+
+module.exports = SigningSessionHelper
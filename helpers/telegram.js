@@ -0,0 +1,19 @@
+'use strict'
+const axios = require('axios')
+const urljoin = require('url-join')
+const config = require('./network').config
+
+const TelegramHelper = {
+    send: async (chatId, subject, text) => {
+        // apiUrl can point to a fake bot endpoint for testing
+        const url = urljoin(config.get('notifier.telegram.apiUrl'),
+            `bot${config.get('notifier.telegram.token')}`, 'sendMessage')
+        return axios.post(url, {
+            chat_id: chatId,
+            text: `${subject}\n\n${text}`,
+            disable_web_page_preview: true
+        }, { timeout: 10000 })
+    }
+}
+
+module.exports = TelegramHelper
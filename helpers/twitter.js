@@ -1,5 +1,5 @@
 const Twitter = require('twitter')
-const config = require('config')
+const config = require('./network').config
 
 // const truncate = (fullStr, strLen) => {
 //     if (fullStr.length <= strLen) return fullStr
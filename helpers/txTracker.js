@@ -0,0 +1,159 @@
+'use strict'
+const EthereumTx = require('ethereumjs-tx')
+const BigNumber = require('bignumber.js')
+const _ = require('lodash')
+const ValidatorABI = require('../build/contracts/TomoValidator')
+const config = require('./network').config
+const db = require('../models/mongodb')
+const web3 = require('../models/blockchain/web3rpc').Web3RpcInternal()
+const validator = require('../models/blockchain/validatorRpc')
+const ValidatorRules = require('./validatorRules')
+const logger = require('./logger')
+
+const batch = 50
+
+const bufferToNumber = (b) => new BigNumber('0x' + (b.toString('hex') || '0'))
+
+// Sender, nonce and TomoValidator method of a signed transaction
+function decode (rawTx) {
+    const tx = new EthereumTx(rawTx)
+    const to = ('0x' + tx.to.toString('hex')).toLowerCase()
+    const data = '0x' + tx.data.toString('hex')
+    let method
+    let params = {}
+    if (to === config.get('blockchain.validatorAddress').toLowerCase()) {
+        method = ValidatorABI.abi.find(m => m.type === 'function' &&
+            web3.eth.abi.encodeFunctionSignature(m) === data.substr(0, 10))
+    }
+    if (method) {
+        const decoded = web3.eth.abi.decodeParameters(method.inputs, '0x' + data.substr(10))
+        params = _.mapValues(_.pick(decoded, method.inputs.map(i => i.name)), String)
+    }
+    return {
+        hash: '0x' + tx.hash().toString('hex'),
+        from: '0x' + tx.getSenderAddress().toString('hex'),
+        nonce: bufferToNumber(tx.nonce).toNumber(),
+        to,
+        value: bufferToNumber(tx.value).toString(10),
+        gas: bufferToNumber(tx.gasLimit).toNumber(),
+        method: (method || {}).name,
+        params
+    }
+}
+
+async function setStatus (tracked, status, set = {}, note = '') {
+    const now = new Date()
+    await db.TrackedTransaction.updateOne({ _id: tracked._id, status: tracked.status }, {
+        $set: Object.assign({ status, checkedAt: now }, set),
+        $push: { history: { status, at: now, note: note || set.error || '' } }
+    })
+    logger.debug('Tracked transaction %s %s %s', tracked.hash, status, note || set.error || '')
+}
+
+// The validator contract reverts without a message, replay the checks of its modifiers
+async function revertReason (tracked, receipt) {
+    const p = tracked.params || {}
+    if (ValidatorRules.actions.indexOf(tracked.method) >= 0) {
+        try {
+            const failures = await ValidatorRules.check(tracked.method, tracked.from, {
+                candidate: p._candidate,
+                value: tracked.value,
+                cap: p._cap,
+                blockNumber: p._blockNumber,
+                index: p._index
+            }, receipt.blockNumber, validator)
+            if (failures.length) {
+                return `${failures[0].rule}: ${failures[0].message}`
+            }
+        } catch (e) {
+            logger.warn('Cannot find revert reason of %s %s', tracked.hash, e)
+        }
+    }
+    if (receipt.gasUsed >= tracked.gas) {
+        return 'Out of gas'
+    }
+    return 'Transaction reverted'
+}
+
+async function check (tracked) {
+    // the nonce is read first, a used nonce without receipt belongs to another transaction
+    const nonce = await web3.eth.getTransactionCount(tracked.from)
+    const receipt = await web3.eth.getTransactionReceipt(tracked.hash)
+    if (receipt) {
+        const set = { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed }
+        if (receipt.status) {
+            return setStatus(tracked, 'MINED', set)
+        }
+        set.error = await revertReason(tracked, receipt)
+        return setStatus(tracked, 'FAILED', set)
+    }
+    if (nonce > tracked.nonce) {
+        const other = await db.TrackedTransaction.findOne({
+            from: tracked.from,
+            nonce: tracked.nonce,
+            hash: { $ne: tracked.hash },
+            status: 'MINED'
+        }).lean().exec()
+        return setStatus(tracked, 'REPLACED', {
+            replacedBy: (other || {}).hash,
+            error: `Replaced by another transaction with nonce ${tracked.nonce}`
+        })
+    }
+    const pending = await web3.eth.getTransaction(tracked.hash)
+    if (!pending && Date.now() - tracked.submittedAt > parseInt(config.get('tracker.dropTime')) * 1000) {
+        return setStatus(tracked, 'DROPPED', { error: 'The transaction was dropped from the pool' })
+    }
+    await db.TrackedTransaction.updateOne({ _id: tracked._id }, { $set: { checkedAt: new Date() } })
+}
+
+const TxTracker = {
+    decode,
+    revertReason,
+    // record and broadcast a signed transaction, returns the hash
+    submit: async (rawTx, session) => {
+        const now = new Date()
+        let tracked
+        try {
+            tracked = await db.TrackedTransaction.create(Object.assign(decode(rawTx), {
+                rawTx,
+                session,
+                status: 'PENDING',
+                history: [{ status: 'PENDING', at: now, note: 'Submitted' }],
+                submittedAt: now,
+                checkedAt: now
+            }))
+        } catch (e) {
+            if (e.code === 11000) {
+                throw Error('The transaction is already submitted')
+            }
+            throw e
+        }
+        try {
+            await new Promise((resolve, reject) => {
+                web3.eth.sendSignedTransaction(rawTx, (error, hash) => error ? reject(error) : resolve(hash))
+            })
+        } catch (e) {
+            await setStatus(tracked, 'FAILED', { error: e.message }, 'Rejected by the node')
+            throw e
+        }
+        return tracked.hash
+    },
+    get: (hash) => db.TrackedTransaction.findOne({ hash: (hash || '').toLowerCase() })
+        .select({ rawTx: 0 }).lean().exec(),
+    check,
+    // poll the receipts of pending transactions, the least recently checked first
+    processTransactions: async () => {
+        const pending = await db.TrackedTransaction.find({ status: 'PENDING' })
+            .sort({ checkedAt: 1 }).limit(batch).lean().exec()
+        for (const tracked of pending) {
+            try {
+                await check(tracked)
+            } catch (e) {
+                logger.warn('Cannot check tracked transaction %s %s', tracked.hash, e)
+            }
+        }
+        return pending.length
+    }
+}
+
+module.exports = TxTracker
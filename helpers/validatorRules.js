@@ -0,0 +1,95 @@
+'use strict'
+const BigNumber = require('bignumber.js')
+
+const actions = ['propose', 'vote', 'unvote', 'resign', 'withdraw']
+
+const tomo = (wei) => new BigNumber(wei).div(10 ** 18).toString(10)
+
+// Checks of the TomoValidator modifiers for a transaction executed in blockNumber,
+// the state is read from the validator contract at the previous block. params are candidate,
+// value and cap in wei, blockNumber and index of a withdraw. Returns the failed checks as { rule, message }
+async function check (action, from, params, blockNumber, validator) {
+    from = from.toLowerCase()
+    const call = (method, ...args) => validator.methods[method](...args).call({ from }, blockNumber - 1)
+    const failures = []
+    const fail = (rule, message) => failures.push({ rule, message })
+    const value = new BigNumber(params.value || 0)
+
+    switch (action) {
+    case 'propose': {
+        const [ minCandidateCap, isCandidate ] = await Promise.all([
+            call('minCandidateCap'),
+            call('isCandidate', params.candidate)
+        ])
+        if (value.isLessThan(minCandidateCap)) {
+            fail('onlyValidCandidateCap', `The deposit should be at least ${tomo(minCandidateCap)} TOMO`)
+        }
+        if (isCandidate) {
+            fail('onlyNotCandidate', 'The address is already a candidate')
+        }
+        break
+    }
+    case 'vote': {
+        const [ minVoterCap, isCandidate ] = await Promise.all([
+            call('minVoterCap'),
+            call('isCandidate', params.candidate)
+        ])
+        if (value.isLessThan(minVoterCap)) {
+            fail('onlyValidVoterCap', `The amount should be at least ${tomo(minVoterCap)} TOMO`)
+        }
+        if (!isCandidate) {
+            fail('onlyValidCandidate', 'The address is not a candidate')
+        }
+        break
+    }
+    case 'unvote': {
+        const [ voted, owner, minCandidateCap ] = await Promise.all([
+            call('getVoterCap', params.candidate, from),
+            call('getCandidateOwner', params.candidate),
+            call('minCandidateCap')
+        ])
+        if (new BigNumber(voted).isLessThan(params.cap)) {
+            fail('onlyValidVote', `The amount is more than the voted ${tomo(voted)} TOMO`)
+        } else if ((owner || '').toLowerCase() === from &&
+            new BigNumber(voted).minus(params.cap).isLessThan(minCandidateCap)) {
+            fail('onlyValidVote', `The owner should keep at least ${tomo(minCandidateCap)} TOMO`)
+        }
+        break
+    }
+    case 'resign': {
+        const [ owner, isCandidate ] = await Promise.all([
+            call('getCandidateOwner', params.candidate),
+            call('isCandidate', params.candidate)
+        ])
+        if ((owner || '').toLowerCase() !== from) {
+            fail('onlyOwner', 'Only the owner can resign the candidate')
+        }
+        if (!isCandidate) {
+            fail('onlyCandidate', 'The address is not a candidate')
+        }
+        break
+    }
+    case 'withdraw': {
+        const withdrawBlock = parseInt(params.blockNumber)
+        if (!withdrawBlock || withdrawBlock > blockNumber) {
+            fail('onlyValidWithdraw', `The cap is locked until block ${withdrawBlock}`)
+            break
+        }
+        const [ cap, blockNumbers ] = await Promise.all([
+            call('getWithdrawCap', withdrawBlock),
+            call('getWithdrawBlockNumbers')
+        ])
+        if (new BigNumber(cap).isZero()) {
+            fail('onlyValidWithdraw', `There is nothing to withdraw at block ${withdrawBlock}`)
+        } else if (String((blockNumbers || [])[parseInt(params.index)]) !== String(withdrawBlock)) {
+            fail('onlyValidWithdraw', `The index ${params.index} does not match block ${withdrawBlock}`)
+        }
+        break
+    }
+    default:
+        throw Error(`action ${action} is not supported`)
+    }
+    return failures
+}
+
+module.exports = { actions, check }
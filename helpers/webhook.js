@@ -0,0 +1,108 @@
+'use strict'
+const crypto = require('crypto')
+const axios = require('axios')
+const config = require('./network').config
+const db = require('../models/mongodb')
+const logger = require('./logger')
+const HostGuard = require('./hostGuard')
+const Backoff = require('./backoff')
+
+const maxAttempts = parseInt(config.get('webhook.maxAttempts'))
+const timeout = parseInt(config.get('webhook.timeout'))
+const batch = 20
+
+// 30s, 1m, 2m, ... capped at 1 hour
+const backoff = (attempts) => Backoff.delay(attempts, 30, 3600)
+
+const sign = (secret, body) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+
+const WebhookHelper = {
+    sign,
+    // queue the event for every active webhook of the voter
+    enqueue: async (voter, candidate, name, event, blockNumber, amount = '', reason = '') => {
+        const webhooks = await db.Webhook.find({
+            address: voter,
+            events: event,
+            active: true
+        }).lean().exec()
+        await Promise.all(webhooks.map(w => {
+            return db.WebhookDelivery.updateOne({
+                webhook: w._id,
+                event: event,
+                voter: voter,
+                candidate: candidate,
+                blockNumber: blockNumber
+            }, {
+                $setOnInsert: {
+                    url: w.url,
+                    payload: {
+                        event,
+                        voter,
+                        candidate,
+                        candidateName: name || '',
+                        blockNumber,
+                        amount,
+                        reason,
+                        networkId: config.get('blockchain.networkId')
+                    },
+                    status: 'PENDING',
+                    attempts: 0,
+                    nextAttemptAt: new Date()
+                }
+            }, { upsert: true })
+        }))
+    },
+    deliver: async (delivery) => {
+        const webhook = await db.Webhook.findById(delivery.webhook).lean().exec()
+        if (!webhook || !webhook.active) {
+            return db.WebhookDelivery.updateOne({ _id: delivery._id }, {
+                $set: { status: 'FAILED', lastError: 'Webhook removed' }
+            })
+        }
+        const body = JSON.stringify(delivery.payload)
+        const attempts = delivery.attempts + 1
+        try {
+            // the host is resolved again before every delivery
+            await HostGuard.check(webhook.url)
+            const res = await axios.post(webhook.url, body, Object.assign(HostGuard.options(), {
+                timeout: timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Tomomaster-Event': delivery.event,
+                    'X-Tomomaster-Delivery': String(delivery._id),
+                    'X-Tomomaster-Signature': sign(webhook.secret, body)
+                }
+            }))
+            await db.WebhookDelivery.updateOne({ _id: delivery._id }, {
+                $set: {
+                    status: 'DELIVERED',
+                    attempts: attempts,
+                    responseStatus: res.status,
+                    deliveredAt: new Date()
+                }
+            })
+        } catch (e) {
+            await db.WebhookDelivery.updateOne({ _id: delivery._id }, {
+                $set: {
+                    status: attempts >= maxAttempts ? 'FAILED' : 'PENDING',
+                    attempts: attempts,
+                    responseStatus: (e.response || {}).status,
+                    lastError: e.message,
+                    nextAttemptAt: new Date(Date.now() + backoff(attempts))
+                }
+            })
+            logger.warn('Deliver webhook %s attempt %s error %s', delivery._id, attempts, e.message)
+        }
+    },
+    // deliver the due ones, returns the number of processed deliveries
+    processDeliveries: async () => {
+        const deliveries = await db.WebhookDelivery.find({
+            status: 'PENDING',
+            nextAttemptAt: { $lte: new Date() }
+        }).sort({ nextAttemptAt: 1 }).limit(batch).lean().exec()
+        await Promise.all(deliveries.map(d => WebhookHelper.deliver(d)))
+        return deliveries.length
+    }
+}
+
+module.exports = WebhookHelper
@@ -12,6 +12,7 @@ const swaggerUi = require('swagger-ui-express')
 const morgan = require('morgan')
 const logger = require('./helpers/logger')
 const helmet = require('helmet')
+const Metrics = require('./helpers/metrics')
 
 // body parse
 const app = express()
@@ -27,6 +28,12 @@ app.use(cors({
 
 app.use(morgan('short', { stream: logger.stream }))
 
+// prometheus, on its own port which is not exposed with the APIs
+if (config.get('metrics.enabled')) {
+    app.use(Metrics.middleware)
+    Metrics.serve(parseInt(config.get('metrics.serverPort')))
+}
+
 const server = require('http').Server(app)
 
 app.use(bodyParser.urlencoded({ extended: true }))
@@ -1,11 +1,14 @@
 'use strict'
 
 const BlockSignerABI = require('../../build/contracts/BlockSigner')
-const config = require('config')
+const Network = require('../../helpers/network')
+const config = Network.config
 
 function BlockSigner (web3) {
-    let blockSigner = new web3.eth.Contract(BlockSignerABI.abi, config.get('blockchain.blockSignerAddress'))
-    return blockSigner
+    return Network.perNetwork(() => {
+        let blockSigner = new web3.eth.Contract(BlockSignerABI.abi, config.get('blockchain.blockSignerAddress'))
+        return blockSigner
+    })
 }
 
 module.exports = BlockSigner
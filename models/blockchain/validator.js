@@ -1,11 +1,14 @@
 'use strict'
 
 const ValidatorABI = require('../../build/contracts/TomoValidator')
-const config = require('config')
+const Network = require('../../helpers/network')
+const config = Network.config
 
 function Validator (web3) {
-    const validator = new web3.eth.Contract(ValidatorABI.abi, config.get('blockchain.validatorAddress'))
-    return validator
+    return Network.perNetwork(() => {
+        const validator = new web3.eth.Contract(ValidatorABI.abi, config.get('blockchain.validatorAddress'))
+        return validator
+    })
 }
 
 module.exports = Validator
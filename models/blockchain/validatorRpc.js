@@ -2,7 +2,10 @@
 
 const ValidatorABI = require('../../build/contracts/TomoValidator')
 const web3 = require('./web3rpc').Web3Rpc()
-const config = require('config')
-const validator = new web3.eth.Contract(ValidatorABI.abi, config.get('blockchain.validatorAddress'))
+const Network = require('../../helpers/network')
+const config = Network.config
+const validator = Network.perNetwork(() => {
+    return new web3.eth.Contract(ValidatorABI.abi, config.get('blockchain.validatorAddress'))
+})
 
 module.exports = validator
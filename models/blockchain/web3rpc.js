@@ -1,18 +1,22 @@
 'use strict'
 
 const Web3 = require('web3')
-const config = require('config')
+const Network = require('../../helpers/network')
+const ProviderPool = require('../../helpers/providerPool')
 
+// the providers fail over between blockchain.rpc and its fallbacks, see helpers/providerPool
 const web3Prc = {
     Web3Rpc: function () {
-        const provider = new Web3.providers.HttpProvider(config.get('blockchain.rpc'))
-        const web3 = new Web3(provider)
-        return web3
+        return Network.perNetwork(() => {
+            const web3 = new Web3(ProviderPool.get('rpc'))
+            return web3
+        })
     },
     Web3RpcInternal: function () {
-        const internalProvider = new Web3.providers.HttpProvider(config.get('blockchain.internalRpc'))
-        const web3Internal = new Web3(internalProvider)
-        return web3Internal
+        return Network.perNetwork(() => {
+            const web3Internal = new Web3(ProviderPool.get('internalRpc'))
+            return web3Internal
+        })
     }
 }
 
@@ -3,6 +3,22 @@
 var mongoose = require('mongoose')
 var Schema = mongoose.Schema
 
+// proof that the owner controls a social, see helpers/claim.js
+var claim = {
+    value: String,
+    proofUrl: String,
+    signature: String,
+    status: {
+        type: String,
+        enum: ['PENDING', 'VERIFIED', 'FAILED']
+    },
+    error: String,
+    failures: Number,
+    submittedAt: Date,
+    checkedAt: Date,
+    verifiedAt: Date
+}
+
 var Candidate = new Schema({
     smartContractAddress: {
         type: String,
@@ -41,7 +57,15 @@ var Candidate = new Schema({
         enum: ['PROPOSED', 'RESIGNED', 'SLASHED', 'MASTERNODE'],
         index: true
     },
-    rank: Number
+    rank: Number,
+    // may land in the next penalty list
+    atRisk: { type: Boolean, index: true },
+    atRiskReason: String,
+    atRiskBlock: Number,
+    claims: {
+        website: claim,
+        github: claim
+    }
 }, { timestamps: true })
 
 module.exports = mongoose.model('Candidate', Candidate)
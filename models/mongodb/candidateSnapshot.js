@@ -0,0 +1,20 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+// Candidate capacity at the checkpoint which starts the epoch
+var CandidateSnapshot = new Schema({
+    epoch: { type: Number, index: true },
+    blockNumber: Number,
+    candidate: {
+        type: String,
+        index: true
+    },
+    owner: String,
+    capacity: String,
+    capacityNumber: { type: Number, index: true }
+}, { timestamps: true })
+
+CandidateSnapshot.index({ networkId: 1, epoch: 1, candidate: 1 }, { unique: true })
+
+module.exports = mongoose.model('CandidateSnapshot', CandidateSnapshot)
@@ -0,0 +1,29 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+// Resume point of a crawler, one per network and contract: the TomoValidator events and
+// the BlockSigner transactions
+var CrawlCursor = new Schema({
+    networkId: { type: Number, index: true },
+    smartContractAddress: {
+        type: String,
+        index: true
+    },
+    blockNumber: Number,
+    blockHash: String,
+    // hashes of the latest processed blocks, used to find the common ancestor after a reorg
+    recentBlocks: [{
+        _id: false,
+        blockNumber: Number,
+        blockHash: String
+    }],
+    // first block crawled, the signs are recorded without a gap from it
+    startBlock: Number,
+    // latest checkpoint block whose status, snapshot and rewards are done
+    checkpoint: Number
+}, { timestamps: true })
+
+CrawlCursor.index({ networkId: 1, smartContractAddress: 1 }, { unique: true })
+
+module.exports = mongoose.model('CrawlCursor', CrawlCursor)
@@ -0,0 +1,26 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+// Progress of each crawler task, the `crawler` task is the process itself
+var CrawlerHeartbeat = new Schema({
+    networkId: { type: Number, index: true },
+    task: String,
+    // last block handled by the task
+    blockNumber: Number,
+    epoch: Number,
+    lastRunAt: Date,
+    lastSuccessAt: Date,
+    lastError: String,
+    lastErrorAt: Date,
+    host: String,
+    pid: Number,
+    startedAt: Date,
+    // RPC endpoints of the crawler process, see helpers/providerPool
+    providers: Schema.Types.Mixed
+}, { timestamps: true })
+
+CrawlerHeartbeat.index({ networkId: 1, task: 1 }, { unique: true })
+
+module.exports = mongoose.model('CrawlerHeartbeat', CrawlerHeartbeat)
@@ -0,0 +1,14 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+// Blocks signed by a signer, grouped by the epoch of the signed block
+var EpochSign = new Schema({
+    epoch: { type: Number, index: true },
+    signer: { type: String, index: true },
+    blocks: [Number]
+}, { timestamps: true })
+
+EpochSign.index({ networkId: 1, epoch: 1, signer: 1 }, { unique: true })
+
+module.exports = mongoose.model('EpochSign', EpochSign)
@@ -7,6 +7,7 @@ var History = new Schema({
     name: String,
     candidate: String,
     blockNumber: Number,
+    signer: String,
     hardware: String,
     dataCenter: {
         name: String,
@@ -21,4 +22,6 @@ var History = new Schema({
     }
 }, { timestamps: true })
 
+History.index({ candidate: 1, blockNumber: 1 })
+
 module.exports = mongoose.model('History', History)
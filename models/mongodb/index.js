@@ -4,6 +4,8 @@ const path = require('path')
 const mongoose = require('mongoose')
 const db = {}
 const config = require('config')
+const Network = require('../../helpers/network')
+const Metrics = require('../../helpers/metrics')
 
 mongoose.Promise = global.Promise
 mongoose.set('useCreateIndex', true)
@@ -17,6 +19,58 @@ mongoose.connect(config.get('db.uri'), {
     }
 })
 
+// Documents of every network share the collections and are keyed by networkId,
+// which is taken from the current network unless the query sets it
+const networkQueries = ['count', 'countDocuments', 'deleteMany', 'deleteOne', 'find', 'findOne',
+    'findOneAndDelete', 'findOneAndRemove', 'findOneAndUpdate', 'update', 'updateOne', 'updateMany']
+mongoose.plugin(function (schema) {
+    if (!schema.path('networkId')) {
+        schema.add({ networkId: { type: Number, index: true } })
+    }
+    networkQueries.forEach(q => schema.pre(q, function () {
+        if (this.getQuery().networkId === undefined) {
+            this.where({ networkId: Network.current().networkId })
+        }
+    }))
+    schema.pre('save', function () {
+        if (this.networkId === undefined) {
+            this.networkId = Network.current().networkId
+        }
+    })
+    schema.pre('insertMany', function (next, docs) {
+        [].concat(docs).forEach(d => {
+            if (d.networkId === undefined) {
+                d.networkId = Network.current().networkId
+            }
+        })
+        next()
+    })
+    schema.pre('aggregate', function () {
+        const first = this.pipeline()[0] || {}
+        if (!first.$match || first.$match.networkId === undefined) {
+            this.pipeline().unshift({ $match: { networkId: Network.current().networkId } })
+        }
+    })
+
+    // timings of the operations
+    const timed = networkQueries.map(q => [q, function () { return this.mongooseCollection.name }])
+        .concat([
+            ['aggregate', function () { return this._model.collection.name }],
+            ['save', function () { return this.constructor.collection.name }]
+        ])
+    timed.forEach(([ operation, collection ]) => {
+        schema.pre(operation, function () {
+            this.$metricsStart = Date.now()
+        })
+        schema.post(operation, function () {
+            if (this.$metricsStart) {
+                Metrics.mongoDuration.observe({ collection: collection.call(this), operation },
+                    (Date.now() - this.$metricsStart) / 1000)
+            }
+        })
+    })
+})
+
 // import all file in this dir, except index.js
 fs.readdirSync(__dirname)
     .filter(function (file) {
@@ -9,8 +9,9 @@ var Notification = new Schema({
     candidateName: String,
     event: {
         type: String,
-        enum: ['Propose', 'Resign', 'Slash', 'Outtop', 'Withdraw']
+        enum: ['Propose', 'Resign', 'Slash', 'Outtop', 'Withdraw', 'AtRisk']
     },
+    reason: String,
     isRead: Boolean,
     blockNumber: { type: Number, index: true }
 }, { timestamps: true })
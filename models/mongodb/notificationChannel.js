@@ -0,0 +1,28 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+// Where to push the notifications of an address, created after the address signs the opt-in
+var NotificationChannel = new Schema({
+    address: { type: String, index: true },
+    channel: {
+        type: String,
+        enum: ['email', 'telegram']
+    },
+    // email address or telegram chat id
+    target: String,
+    events: [{
+        type: String,
+        enum: ['Slash', 'Outtop', 'Resign', 'Withdraw', 'AtRisk']
+    }],
+    signature: String,
+    // email addresses are used once the link sent to them is opened
+    confirmToken: { type: String, index: true },
+    confirmedAt: Date,
+    active: { type: Boolean, default: true, index: true }
+}, { timestamps: true })
+
+NotificationChannel.index({ networkId: 1, address: 1, channel: 1, target: 1 }, { unique: true })
+
+module.exports = mongoose.model('NotificationChannel', NotificationChannel)
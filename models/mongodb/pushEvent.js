@@ -0,0 +1,20 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+// Capped collection used as pub/sub between the crawler and the API servers
+var PushEvent = new Schema({
+    type: {
+        type: String,
+        enum: ['candidate', 'ranks', 'transaction', 'notification']
+    },
+    // only pushed to the subscribers of this address when set
+    address: String,
+    data: Schema.Types.Mixed
+}, {
+    timestamps: true,
+    capped: { size: 16 * 1024 * 1024, max: 10000 }
+})
+
+module.exports = mongoose.model('PushEvent', PushEvent)
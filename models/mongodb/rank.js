@@ -4,10 +4,14 @@ var mongoose = require('mongoose')
 var Schema = mongoose.Schema
 
 var Rank = new Schema({
-    candidate: { type: Number, index: true },
+    candidate: { type: String, index: true },
     rank: Number,
+    capacity: String,
+    capacityNumber: Number,
     epoch: { type: Number, index: true },
     epochCreatedAt: Date
 }, { timestamps: true })
 
+Rank.index({ networkId: 1, candidate: 1, epoch: 1 })
+
 module.exports = mongoose.model('Rank', Rank)
@@ -0,0 +1,28 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+var Reward = new Schema({
+    epoch: { type: Number, index: true },
+    startBlock: Number,
+    endBlock: Number,
+    // reward receiver
+    address: { type: String, index: true },
+    // masternode which signed the blocks
+    validator: { type: String, index: true },
+    reason: {
+        type: String,
+        enum: ['MasterNode', 'Voter', 'Foundation'],
+        index: true
+    },
+    lockBalance: String,
+    reward: String,
+    signNumber: Number,
+    totalSignNumber: Number,
+    rewardTime: Date
+}, { timestamps: true })
+
+Reward.index({ networkId: 1, epoch: 1, validator: 1, address: 1, reason: 1 }, { unique: true })
+
+module.exports = mongoose.model('Reward', Reward)
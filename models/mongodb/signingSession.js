@@ -0,0 +1,49 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+var SigningSession = new Schema({
+    sessionId: { type: String, unique: true },
+    action: {
+        type: String,
+        enum: ['login', 'update', 'notifications', 'webhook', 'channel',
+            'propose', 'vote', 'unvote', 'resign', 'withdraw']
+    },
+    // expected signer, empty for login
+    address: { type: String, index: true },
+    payload: {
+        candidate: String,
+        // TOMO
+        amount: String,
+        // withdraw
+        blockNumber: Number,
+        index: Number,
+        // notification settings
+        url: String,
+        channel: String,
+        target: String
+    },
+    candidateName: String,
+    message: String,
+    status: {
+        type: String,
+        enum: ['CREATED', 'SCANNED', 'BROADCAST', 'MINED', 'FAILED', 'EXPIRED'],
+        default: 'CREATED',
+        index: true
+    },
+    signer: String,
+    signature: String,
+    tx: String,
+    error: String,
+    expiresAt: Date,
+    // signed messages are used once
+    usedAt: Date,
+    purgeAt: Date
+}, { timestamps: true })
+
+// a transaction is accepted by one session only
+SigningSession.index({ tx: 1 }, { unique: true, partialFilterExpression: { tx: { $type: 'string' } } })
+SigningSession.index({ purgeAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('SigningSession', SigningSession)
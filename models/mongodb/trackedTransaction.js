@@ -0,0 +1,40 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+var TrackedTransaction = new Schema({
+    hash: { type: String, unique: true },
+    from: { type: String, index: true },
+    nonce: Number,
+    to: String,
+    value: String,
+    gas: Number,
+    // decoded against the TomoValidator ABI
+    method: String,
+    params: Schema.Types.Mixed,
+    rawTx: String,
+    session: { type: String, index: true },
+    status: {
+        type: String,
+        enum: ['PENDING', 'MINED', 'FAILED', 'DROPPED', 'REPLACED'],
+        default: 'PENDING',
+        index: true
+    },
+    history: [{
+        _id: false,
+        status: String,
+        at: Date,
+        note: String
+    }],
+    error: String,
+    blockNumber: Number,
+    gasUsed: Number,
+    replacedBy: String,
+    submittedAt: Date,
+    checkedAt: Date
+}, { timestamps: true })
+
+TrackedTransaction.index({ from: 1, nonce: 1 })
+
+module.exports = mongoose.model('TrackedTransaction', TrackedTransaction)
@@ -31,6 +31,7 @@ var Transaction = new Schema({
     capacity: String,
     createdAt: { type: Date, default: Date.now, index: true },
     blockNumber: { type: Number, index: true },
+    blockHash: String,
     currentCandidateCap: String
 }, { timestamps: false })
 
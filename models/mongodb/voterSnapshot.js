@@ -0,0 +1,23 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+// Voter capacity at the checkpoint which starts the epoch
+var VoterSnapshot = new Schema({
+    epoch: { type: Number, index: true },
+    blockNumber: Number,
+    voter: {
+        type: String,
+        index: true
+    },
+    candidate: {
+        type: String,
+        index: true
+    },
+    capacity: String,
+    capacityNumber: { type: Number, index: true }
+}, { timestamps: true })
+
+VoterSnapshot.index({ networkId: 1, epoch: 1, candidate: 1, voter: 1 }, { unique: true })
+
+module.exports = mongoose.model('VoterSnapshot', VoterSnapshot)
@@ -0,0 +1,18 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+var Webhook = new Schema({
+    address: { type: String, index: true },
+    url: String,
+    // HMAC key of the payload signature, only returned on register
+    secret: String,
+    events: [{
+        type: String,
+        enum: ['Propose', 'Resign', 'Slash', 'Outtop', 'Withdraw', 'AtRisk']
+    }],
+    active: { type: Boolean, default: true, index: true }
+}, { timestamps: true })
+
+module.exports = mongoose.model('Webhook', Webhook)
@@ -0,0 +1,29 @@
+'use strict'
+
+var mongoose = require('mongoose')
+var Schema = mongoose.Schema
+
+var WebhookDelivery = new Schema({
+    webhook: { type: Schema.Types.ObjectId, index: true },
+    url: String,
+    event: String,
+    voter: String,
+    candidate: String,
+    blockNumber: Number,
+    payload: Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['PENDING', 'DELIVERED', 'FAILED'],
+        default: 'PENDING',
+        index: true
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, index: true },
+    responseStatus: Number,
+    lastError: String,
+    deliveredAt: Date
+}, { timestamps: true })
+
+WebhookDelivery.index({ webhook: 1, event: 1, voter: 1, candidate: 1, blockNumber: 1 }, { unique: true })
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDelivery)
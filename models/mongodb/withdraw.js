@@ -20,6 +20,7 @@ var Withdraw = new Schema({
         type: String,
         index: true
     },
+    blockHash: String,
     capacity: String
 }, { timestamps: true })
 
@@ -0,0 +1,18 @@
+'use strict'
+const assert = require('assert')
+const Backoff = require('../../helpers/backoff')
+
+describe('Backoff', () => {
+    it('doubles the delay of the webhook retries', () => {
+        assert.deepStrictEqual([1, 2, 3, 4].map(a => Backoff.delay(a, 30, 3600)), [30000, 60000, 120000, 240000])
+    })
+
+    it('caps the delay', () => {
+        assert.strictEqual(Backoff.delay(8, 30, 3600), 3600000)
+        assert.strictEqual(Backoff.delay(50, 30, 3600), 3600000)
+    })
+
+    it('waits the minimum before the first attempt', () => {
+        assert.strictEqual(Backoff.delay(0, 30, 3600), 30000)
+    })
+})
@@ -0,0 +1,34 @@
+'use strict'
+const assert = require('assert')
+const Csv = require('../../helpers/csv')
+
+describe('Csv', () => {
+    it('quotes the separators and the quotes', () => {
+        assert.strictEqual(Csv.field('a,b'), '"a,b"')
+        assert.strictEqual(Csv.field('say "hi"'), '"say ""hi"""')
+        assert.strictEqual(Csv.field('a\nb'), '"a\nb"')
+        assert.strictEqual(Csv.field('a\rb'), '"a\rb"')
+    })
+
+    it('writes the empty values as empty fields', () => {
+        assert.strictEqual(Csv.field(undefined), '')
+        assert.strictEqual(Csv.field(null), '')
+        assert.strictEqual(Csv.field(0), '0')
+    })
+
+    it('neutralizes the spreadsheet formulas', () => {
+        assert.strictEqual(Csv.field('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"')
+        assert.strictEqual(Csv.field('+1'), '\'+1')
+        assert.strictEqual(Csv.field('-1'), '\'-1')
+        assert.strictEqual(Csv.field('@SUM(A1)'), '\'@SUM(A1)')
+        assert.strictEqual(Csv.field('\t=1'), '\'\t=1')
+    })
+
+    it('keeps the negative numbers', () => {
+        assert.strictEqual(Csv.field(-1.5), '-1.5')
+    })
+
+    it('writes a row', () => {
+        assert.strictEqual(Csv.row(['vote', 'Node, Inc', 100]), 'vote,"Node, Inc",100\n')
+    })
+})
@@ -0,0 +1,49 @@
+'use strict'
+const assert = require('assert')
+const HostGuard = require('../../helpers/hostGuard')
+
+// assert.rejects of node 10
+const rejects = (promise, pattern) => promise.then(() => assert.fail('should throw'),
+    e => assert.ok(pattern.test(e.message), e.message))
+
+describe('HostGuard', () => {
+    it('refuses the private IPv4 addresses', () => {
+        ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+            '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255'].forEach(ip => {
+            assert.strictEqual(HostGuard.isPrivateAddress(ip), true, ip)
+        })
+    })
+
+    it('accepts the public IPv4 addresses', () => {
+        ['8.8.8.8', '172.32.0.1', '100.128.0.1', '193.0.0.1'].forEach(ip => {
+            assert.strictEqual(HostGuard.isPrivateAddress(ip), false, ip)
+        })
+    })
+
+    it('refuses the private IPv6 addresses', () => {
+        ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1%eth0', 'ff02::1', '::ffff:127.0.0.1',
+            '::ffff:7f00:1', '64:ff9b::a9fe:a9fe', '2002:c0a8:0101::1'].forEach(ip => {
+            assert.strictEqual(HostGuard.isPrivateAddress(ip), true, ip)
+        })
+    })
+
+    it('accepts the public IPv6 addresses', () => {
+        ['2001:4860:4860::8888', '::ffff:8.8.8.8', '2002:0808:0808::1'].forEach(ip => {
+            assert.strictEqual(HostGuard.isPrivateAddress(ip), false, ip)
+        })
+    })
+
+    it('refuses what is not an address', () => {
+        assert.strictEqual(HostGuard.isPrivateAddress('localhost'), true)
+    })
+
+    it('only allows http and https urls', async () => {
+        await rejects(HostGuard.check('file:///etc/passwd'), /Only http and https/)
+        await rejects(HostGuard.check('ftp://example.com'), /Only http and https/)
+    })
+
+    it('refuses the urls of private hosts', async () => {
+        await rejects(HostGuard.check('http://127.0.0.1:8545/'), /private address 127.0.0.1/)
+        await rejects(HostGuard.check('http://[::1]/'), /private address ::1/)
+    })
+})
@@ -0,0 +1,40 @@
+'use strict'
+const assert = require('assert')
+const RewardSplit = require('../../helpers/rewardSplit')
+
+const rates = { masternode: 40, voter: 50, foundation: 10 }
+const foundation = '0x0000000000000000000000000000000000000068'
+const tomo = (n) => String(n) + '000000000000000000'
+
+describe('RewardSplit', () => {
+    it('shares the epoch reward by signed blocks', () => {
+        assert.strictEqual(RewardSplit.masternodeReward(250, 30, 120).toString(10), '62.5')
+    })
+
+    it('splits a masternode reward between owner, foundation and voters', () => {
+        const rows = RewardSplit.split(RewardSplit.masternodeReward(250, 30, 120), rates, {
+            owner: '0xABC',
+            capacity: tomo(60000)
+        }, [
+            { voter: '0xabc', capacity: tomo(50000) },
+            { voter: '0xdef', capacity: tomo(10000) }
+        ], foundation)
+        assert.deepStrictEqual(rows.map(r => [r.address, r.reason, r.lockBalance, r.reward]), [
+            ['0xabc', 'MasterNode', '60000', '25'],
+            [foundation, 'Foundation', '0', '6.25'],
+            ['0xabc', 'Voter', '50000', '26.04166666666666666667'],
+            ['0xdef', 'Voter', '10000', '5.20833333333333333333']
+        ])
+    })
+
+    it('keeps the voter share for the voters only', () => {
+        const rows = RewardSplit.split(100, rates, { owner: '0xabc', capacity: tomo(50000) }, [], foundation)
+        assert.deepStrictEqual(rows.map(r => r.reason), ['MasterNode', 'Foundation'])
+    })
+
+    it('writes the owner row of a candidate without data', () => {
+        const rows = RewardSplit.split(100, rates, {}, [], foundation)
+        assert.strictEqual(rows[0].address, '')
+        assert.strictEqual(rows[0].lockBalance, '0')
+    })
+})
@@ -0,0 +1,73 @@
+'use strict'
+const assert = require('assert')
+const { checkpointEpoch, signEpoch, computeStats } = require('../../helpers/signStats')
+
+// 2 sign slots per epoch, at the blocks 15 and 30 of the epoch
+const options = (overrides) => Object.assign({
+    fromEpoch: 2,
+    toEpoch: 4,
+    latestBlock: 1000,
+    epochBlocks: 30,
+    mergeSignRange: 15,
+    statuses: { 2: 'MASTERNODE', 3: 'MASTERNODE', 4: 'MASTERNODE' },
+    signed: {},
+    observed: () => true
+}, overrides)
+
+describe('signStats', () => {
+    it('numbers the status epoch after its checkpoint', () => {
+        assert.strictEqual(checkpointEpoch(0, 900), 1)
+        assert.strictEqual(checkpointEpoch(900, 900), 2)
+        assert.strictEqual(checkpointEpoch(1799, 900), 2)
+    })
+
+    it('groups the signs of an epoch with its checkpoint', () => {
+        assert.strictEqual(signEpoch(1, 900), 1)
+        assert.strictEqual(signEpoch(900, 900), 1)
+        assert.strictEqual(signEpoch(901, 900), 2)
+    })
+
+    it('counts the signed and missed slots', () => {
+        const stats = computeStats(options({ signed: { 2: [45, 60], 3: [75], 4: [] } }))
+        assert.deepStrictEqual(stats.items.map(i => [i.epoch, i.signed, i.missed, i.noData]),
+            [[2, 2, 0, 0], [3, 1, 1, 0], [4, 0, 2, 0]])
+        assert.strictEqual(stats.expected, 6)
+        assert.strictEqual(stats.uptime, 50)
+        assert.strictEqual(stats.latestSignedBlock, 75)
+        assert.strictEqual(stats.currentMissedStreak, 3)
+        assert.strictEqual(stats.longestMissedStreak, 3)
+    })
+
+    it('ignores the blocks between the sign slots', () => {
+        const stats = computeStats(options({ toEpoch: 2, signed: { 2: [31, 44, 45] } }))
+        assert.strictEqual(stats.signed, 1)
+        assert.strictEqual(stats.missed, 1)
+    })
+
+    it('only expects the epochs the candidate was a masternode in', () => {
+        const stats = computeStats(options({ statuses: { 2: 'MASTERNODE', 3: 'SLASHED' }, signed: { 2: [45, 60] } }))
+        assert.deepStrictEqual(stats.items.map(i => i.expected), [2, 0, 0])
+        assert.strictEqual(stats.items[1].status, 'SLASHED')
+        assert.strictEqual(stats.items[2].status, null)
+        assert.strictEqual(stats.items[1].uptime, null)
+    })
+
+    it('does not judge the slots without data', () => {
+        const stats = computeStats(options({
+            signed: { 2: [45] },
+            observed: (b) => b < 75 || b > 90
+        }))
+        assert.deepStrictEqual(stats.items.map(i => [i.signed, i.missed, i.noData]),
+            [[1, 1, 0], [0, 0, 2], [0, 2, 0]])
+        assert.strictEqual(stats.uptime, 25)
+        // the streak starts again after the slots without data
+        assert.strictEqual(stats.currentMissedStreak, 2)
+        assert.strictEqual(stats.longestMissedStreak, 2)
+    })
+
+    it('waits for the sign transactions of the latest blocks', () => {
+        const stats = computeStats(options({ toEpoch: 2, latestBlock: 70, signed: { 2: [45] } }))
+        assert.strictEqual(stats.expected, 1)
+        assert.strictEqual(stats.missed, 0)
+    })
+})
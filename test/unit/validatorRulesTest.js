@@ -0,0 +1,123 @@
+'use strict'
+const assert = require('assert')
+const ValidatorRules = require('../../helpers/validatorRules')
+
+const owner = '0x00000000000000000000000000000000000000aa'
+const candidate = '0x00000000000000000000000000000000000000bb'
+const tomo = (n) => String(n) + '000000000000000000'
+
+// validator contract answering from state, by method or by method and arguments
+function contract (state) {
+    const calls = []
+    const methods = {}
+    Object.keys(state).forEach(method => {
+        methods[method] = (...args) => ({
+            call: (options, blockNumber) => {
+                calls.push({ method, args, from: options.from, blockNumber })
+                const value = state[method]
+                return Promise.resolve(typeof value === 'function' ? value(...args) : value)
+            }
+        })
+    })
+    return { methods, calls }
+}
+
+const state = () => ({
+    minCandidateCap: tomo(50000),
+    minVoterCap: tomo(100),
+    isCandidate: (c) => c === candidate,
+    getCandidateOwner: () => owner,
+    getVoterCap: () => tomo(60000),
+    getWithdrawCap: (b) => b === 1000 ? tomo(100) : '0',
+    getWithdrawBlockNumbers: () => ['900', '1000']
+})
+
+const rules = (failures) => failures.map(f => f.rule)
+
+// assert.rejects of node 10
+const rejects = (promise, pattern) => promise.then(() => assert.fail('should throw'),
+    e => assert.ok(pattern.test(e.message), e.message))
+
+describe('ValidatorRules', () => {
+    it('reads the state before the transaction', async () => {
+        const validator = contract(state())
+        await ValidatorRules.check('vote', owner.toUpperCase().replace('0X', '0x'), {
+            candidate, value: tomo(100)
+        }, 2000, validator)
+        assert.ok(validator.calls.length > 0)
+        validator.calls.forEach(c => {
+            assert.strictEqual(c.blockNumber, 1999)
+            assert.strictEqual(c.from, owner)
+        })
+    })
+
+    it('checks the deposit of a new candidate', async () => {
+        const failures = await ValidatorRules.check('propose', owner, {
+            candidate, value: tomo(100)
+        }, 2000, contract(state()))
+        assert.deepStrictEqual(rules(failures), ['onlyValidCandidateCap', 'onlyNotCandidate'])
+        assert.strictEqual(failures[0].message, 'The deposit should be at least 50000 TOMO')
+    })
+
+    it('accepts a vote for a candidate', async () => {
+        const failures = await ValidatorRules.check('vote', owner, {
+            candidate, value: tomo(100)
+        }, 2000, contract(state()))
+        assert.deepStrictEqual(failures, [])
+    })
+
+    it('refuses a small vote for another address', async () => {
+        const failures = await ValidatorRules.check('vote', owner, {
+            candidate: owner, value: tomo(10)
+        }, 2000, contract(state()))
+        assert.deepStrictEqual(rules(failures), ['onlyValidVoterCap', 'onlyValidCandidate'])
+    })
+
+    it('keeps the minimum stake of the owner', async () => {
+        const failures = await ValidatorRules.check('unvote', owner, {
+            candidate, cap: tomo(20000)
+        }, 2000, contract(state()))
+        assert.deepStrictEqual(failures, [{
+            rule: 'onlyValidVote', message: 'The owner should keep at least 50000 TOMO'
+        }])
+    })
+
+    it('refuses to unvote more than the vote', async () => {
+        const failures = await ValidatorRules.check('unvote', candidate, {
+            candidate, cap: tomo(70000)
+        }, 2000, contract(state()))
+        assert.deepStrictEqual(rules(failures), ['onlyValidVote'])
+    })
+
+    it('lets the owner only resign', async () => {
+        const validator = contract(state())
+        assert.deepStrictEqual(await ValidatorRules.check('resign', owner, { candidate }, 2000, validator), [])
+        assert.deepStrictEqual(rules(await ValidatorRules.check('resign', candidate, { candidate }, 2000, validator)),
+            ['onlyOwner'])
+    })
+
+    it('refuses a locked withdraw without reading the contract', async () => {
+        const validator = contract(state())
+        const failures = await ValidatorRules.check('withdraw', owner, { blockNumber: 3000, index: 0 }, 2000, validator)
+        assert.deepStrictEqual(failures, [{ rule: 'onlyValidWithdraw', message: 'The cap is locked until block 3000' }])
+        assert.strictEqual(validator.calls.length, 0)
+    })
+
+    it('checks the index of a withdraw', async () => {
+        const validator = contract(state())
+        assert.deepStrictEqual(await ValidatorRules.check('withdraw', owner, {
+            blockNumber: 1000, index: 1
+        }, 2000, validator), [])
+        assert.deepStrictEqual(rules(await ValidatorRules.check('withdraw', owner, {
+            blockNumber: 1000, index: 0
+        }, 2000, validator)), ['onlyValidWithdraw'])
+        assert.deepStrictEqual(rules(await ValidatorRules.check('withdraw', owner, {
+            blockNumber: 900, index: 0
+        }, 2000, validator)), ['onlyValidWithdraw'])
+    })
+
+    it('throws on other actions', async () => {
+        await rejects(ValidatorRules.check('transfer', owner, {}, 2000, contract(state())),
+            /action transfer is not supported/)
+    })
+})